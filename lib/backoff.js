@@ -0,0 +1,95 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * backoff.js: delay calculations for FSMStateHandle#backoff().
+ */
+
+var mod_assert = require('assert-plus');
+
+module.exports = {
+	normalise: normalise,
+	delay: delay
+};
+
+var STRATEGIES = ['exponential', 'linear', 'jitter'];
+
+/*
+ * Check the options given to FSMStateHandle#backoff() and return a copy with
+ * the defaults filled in.
+ */
+function normalise(opts, defKey) {
+	mod_assert.object(opts, 'options');
+	mod_assert.string(opts.state, 'options.state');
+	mod_assert.optionalString(opts.failState, 'options.failState');
+	mod_assert.optionalString(opts.key, 'options.key');
+	mod_assert.optionalString(opts.strategy, 'options.strategy');
+	mod_assert.optionalNumber(opts.initialDelay, 'options.initialDelay');
+	mod_assert.optionalNumber(opts.factor, 'options.factor');
+	mod_assert.optionalNumber(opts.increment, 'options.increment');
+	if (opts.maxDelay !== Infinity)
+		mod_assert.optionalNumber(opts.maxDelay, 'options.maxDelay');
+	if (opts.maxAttempts !== Infinity) {
+		mod_assert.optionalNumber(opts.maxAttempts,
+		    'options.maxAttempts');
+	}
+
+	var strategy = (opts.strategy === undefined ? 'exponential' :
+	    opts.strategy);
+	if (STRATEGIES.indexOf(strategy) === -1) {
+		throw (new Error('Unknown FSM backoff strategy "' + strategy +
+		    '" (must be one of: ' + STRATEGIES.join(', ') + ')'));
+	}
+	var maxAttempts = (opts.maxAttempts === undefined ? Infinity :
+	    opts.maxAttempts);
+	if (maxAttempts !== Infinity && opts.failState === undefined) {
+		throw (new Error('FSM backoff with maxAttempts requires a ' +
+		    'failState'));
+	}
+	var initialDelay = (opts.initialDelay === undefined ? 1000 :
+	    opts.initialDelay);
+
+	return ({
+		key: (opts.key === undefined ? defKey : opts.key),
+		state: opts.state,
+		failState: opts.failState,
+		strategy: strategy,
+		initialDelay: initialDelay,
+		factor: (opts.factor === undefined ? 2 : opts.factor),
+		increment: (opts.increment === undefined ? initialDelay :
+		    opts.increment),
+		maxDelay: (opts.maxDelay === undefined ? Infinity :
+		    opts.maxDelay),
+		maxAttempts: maxAttempts
+	});
+}
+
+/*
+ * Returns the delay (in ms) before retry number "attempt" (counting from 0)
+ * with the given (normalised) options:
+ *
+ *   - exponential: initialDelay * factor^attempt
+ *   - linear: initialDelay + increment * attempt
+ *   - jitter: a random delay between 0 and the exponential delay ("full
+ *             jitter"), which spreads out the retries of many clients
+ *
+ * In all cases the delay is capped at maxDelay (before jitter is applied).
+ */
+function delay(opts, attempt) {
+	var d;
+	if (opts.strategy === 'linear')
+		d = opts.initialDelay + opts.increment * attempt;
+	else
+		d = opts.initialDelay * Math.pow(opts.factor, attempt);
+	d = Math.min(d, opts.maxDelay);
+	if (opts.strategy === 'jitter')
+		d = Math.floor(Math.random() * (d + 1));
+	return (d);
+}
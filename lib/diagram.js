@@ -0,0 +1,224 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * diagram.js: export the state graph of an FSM subclass as Graphviz DOT or
+ * Mermaid text.
+ *
+ * The graph comes from the class's FSM.defineGraph() declaration if it has
+ * one, otherwise it is inferred from the source of its state functions.
+ * Sub-states are grouped inside a cluster (or composite state) for their
+ * parent.
+ */
+
+var mod_assert = require('assert-plus');
+
+var mod_graph = require('./graph');
+
+module.exports = {
+	toDot: toDot,
+	toMermaid: toMermaid
+};
+
+function getGraph(klass) {
+	mod_assert.func(klass, 'klass');
+	if (klass.prototype.fsm_graph !== undefined)
+		return (klass.prototype.fsm_graph);
+	return (mod_graph.infer(klass));
+}
+
+function className(klass) {
+	return (klass.name.length > 0 ? klass.name : 'FSM');
+}
+
+/*
+ * Arrange the states of a graph into a tree by their dotted names. Returns
+ * the list of top-level nodes, each of the form { name, children }. Parent
+ * states which have no entry of their own (e.g. if only "a.b" is known) are
+ * still created, so that their sub-states have a cluster to live in.
+ */
+function stateTree(graph) {
+	var names = {};
+	Object.keys(graph.states).forEach(function (s) {
+		names[s] = true;
+		graph.states[s].forEach(function (e) {
+			names[e] = true;
+		});
+	});
+	if (graph.initial !== undefined)
+		names[graph.initial] = true;
+	Object.keys(graph.regions).forEach(function (r) {
+		names[graph.regions[r]] = true;
+	});
+
+	var nodes = {};
+	var roots = [];
+	function getNode(name) {
+		if (nodes[name] !== undefined)
+			return (nodes[name]);
+		var node = { name: name, children: [] };
+		nodes[name] = node;
+		var parents = mod_graph.ancestors(name);
+		if (parents.length === 0)
+			roots.push(node);
+		else
+			getNode(parents[0]).children.push(node);
+		return (node);
+	}
+	Object.keys(names).sort().forEach(getNode);
+	return (roots);
+}
+
+function edges(graph) {
+	var ret = [];
+	Object.keys(graph.states).sort().forEach(function (s) {
+		graph.states[s].forEach(function (e) {
+			ret.push([s, e]);
+		});
+	});
+	return (ret);
+}
+
+function quote(str) {
+	return ('"' + str.replace(/(["\\])/g, '\\$1') + '"');
+}
+
+function indent(n) {
+	return (new Array(n + 1).join('    '));
+}
+
+function lastPart(name) {
+	return (name.slice(name.lastIndexOf('.') + 1));
+}
+
+/*
+ * Returns a String containing a Graphviz "digraph" for the given FSM class.
+ */
+function toDot(klass) {
+	var graph = getGraph(klass);
+	var lines = [];
+
+	lines.push('digraph ' + quote(className(klass)) + ' {');
+
+	function emitNode(node, depth) {
+		var attrs = [];
+		if (node.name.indexOf('.') !== -1)
+			attrs.push('label=' + quote(lastPart(node.name)));
+		if (graph.terminal.indexOf(node.name) !== -1)
+			attrs.push('shape=doublecircle');
+		var decl = quote(node.name);
+		if (attrs.length > 0)
+			decl += ' [' + attrs.join(', ') + ']';
+
+		if (node.children.length === 0) {
+			lines.push(indent(depth) + decl + ';');
+			return;
+		}
+		lines.push(indent(depth) + 'subgraph ' +
+		    quote('cluster_' + node.name) + ' {');
+		lines.push(indent(depth + 1) + 'label=' +
+		    quote(lastPart(node.name)) + ';');
+		lines.push(indent(depth + 1) + decl + ';');
+		node.children.forEach(function (c) {
+			emitNode(c, depth + 1);
+		});
+		lines.push(indent(depth) + '}');
+	}
+
+	if (graph.initial !== undefined) {
+		lines.push(indent(1) + '"__start" [shape=point];');
+		lines.push(indent(1) + '"__start" -> ' + quote(graph.initial) +
+		    ';');
+	}
+	Object.keys(graph.regions).forEach(function (r) {
+		var start = quote('__start_' + r);
+		lines.push(indent(1) + start + ' [shape=point];');
+		lines.push(indent(1) + start + ' -> ' +
+		    quote(graph.regions[r]) + ';');
+	});
+	stateTree(graph).forEach(function (node) {
+		emitNode(node, 1);
+	});
+	edges(graph).forEach(function (e) {
+		lines.push(indent(1) + quote(e[0]) + ' -> ' + quote(e[1]) +
+		    ';');
+	});
+
+	lines.push('}');
+	return (lines.join('\n') + '\n');
+}
+
+/*
+ * Mermaid state ids can't contain dots, so sub-states are given an id with
+ * the dots replaced and labelled with their last name component.
+ */
+function mermaidId(name) {
+	return (name.replace(/[^A-Za-z0-9_]/g, '__'));
+}
+
+/*
+ * Returns a String containing a Mermaid "stateDiagram-v2" for the given FSM
+ * class.
+ */
+function toMermaid(klass) {
+	var graph = getGraph(klass);
+	var lines = [];
+	var parentOf = {};
+
+	lines.push('stateDiagram-v2');
+
+	function emitNode(node, depth) {
+		var id = mermaidId(node.name);
+		if (id !== node.name) {
+			lines.push(indent(depth) + 'state ' +
+			    quote(lastPart(node.name)) + ' as ' + id);
+		}
+		if (node.children.length === 0)
+			return;
+		lines.push(indent(depth) + 'state ' + id + ' {');
+		node.children.forEach(function (c) {
+			parentOf[c.name] = node.name;
+			emitNode(c, depth + 1);
+		});
+		/*
+		 * Edges from a parent state into its own sub-states are
+		 * drawn as entry points of the composite state.
+		 */
+		edges(graph).forEach(function (e) {
+			if (e[0] === node.name &&
+			    parentOf[e[1]] === node.name) {
+				lines.push(indent(depth + 1) + '[*] --> ' +
+				    mermaidId(e[1]));
+			}
+		});
+		lines.push(indent(depth) + '}');
+	}
+
+	stateTree(graph).forEach(function (node) {
+		emitNode(node, 1);
+	});
+	if (graph.initial !== undefined)
+		lines.push(indent(1) + '[*] --> ' + mermaidId(graph.initial));
+	Object.keys(graph.regions).forEach(function (r) {
+		lines.push(indent(1) + '[*] --> ' +
+		    mermaidId(graph.regions[r]));
+	});
+	edges(graph).forEach(function (e) {
+		if (parentOf[e[1]] === e[0])
+			return;
+		lines.push(indent(1) + mermaidId(e[0]) + ' --> ' +
+		    mermaidId(e[1]));
+	});
+	graph.terminal.forEach(function (s) {
+		lines.push(indent(1) + mermaidId(s) + ' --> [*]');
+	});
+
+	return (lines.join('\n') + '\n');
+}
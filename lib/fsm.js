@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright (c) 2026, Joyent, Inc.
  */
 
 module.exports = FSM;
@@ -15,26 +15,24 @@ var mod_crypto = require('crypto');
 var mod_util = require('util');
 var EventEmitter = require('events').EventEmitter;
 
-var mod_dtrace;
+var mod_backoff = require('./backoff');
+var mod_graph = require('./graph');
+var mod_scheduler = require('./scheduler');
 
-try {
-	mod_dtrace = require('dtrace-provider');
-} catch (e) {
-	mod_dtrace = undefined;
-}
+var mod_tracers = require('./tracers');
 
-var dt;
-if (mod_dtrace !== undefined) {
-	dt = {};
-
-	dt.provider = mod_dtrace.createDTraceProvider('moorefsm');
-	dt.create = dt.provider.addProbe('create-fsm', 'char *', 'char *');
-	dt.start = dt.provider.addProbe('transition-start', 'char *', 'char *',
-	    'char *', 'char *');
-	dt.end = dt.provider.addProbe('transition-end', 'char *', 'char *',
-	    'char *', 'char *');
-	dt.provider.enable();
-}
+/* Tracers registered with FSM.addTracer() (see tracers.js). */
+var tracers = [];
+if (mod_tracers.haveDTrace)
+	tracers.push(new mod_tracers.DTraceTracer());
+
+var DEFAULT_HISTORY_DEPTH = 7;
+
+var DEFAULT_MAX_TRANSITION_CHAIN = 1000;
+
+var UNHANDLED_POLICIES = ['throw', 'ignore', 'queue'];
+
+var defaultScheduler = mod_scheduler.realScheduler;
 
 function FSMStateHandle(fsm, state, link) {
 	this.fsh_fsm = fsm;
@@ -45,9 +43,14 @@ function FSMStateHandle(fsm, state, link) {
 	this.fsh_timeouts = [];
 	this.fsh_intervals = [];
 	this.fsh_immediates = [];
+	this.fsh_cleanups = [];
+	this.fsh_abort = undefined;
 	this.fsh_validTransitions = undefined;
+	this.fsh_inputs = undefined;
+	this.fsh_defer = undefined;
 	this.fsh_nextState = undefined;
 	this.fsh_exitedAt = undefined;
+	this.fsh_disconnected = false;
 }
 
 FSMStateHandle.prototype.validTransitions = function (states) {
@@ -57,46 +60,182 @@ FSMStateHandle.prototype.validTransitions = function (states) {
 	this.fsh_validTransitions = states;
 };
 
+/*
+ * Any arguments after "state" are passed on to the new state's entry
+ * function (after its handle), and to any guards on the edge.
+ */
 FSMStateHandle.prototype.gotoState = function (state) {
 	mod_assert.string(state, 'state');
+	var args = Array.prototype.slice.call(arguments, 1);
+	return (this._transition(state, { method: 'gotoState' }, args));
+};
+
+/*
+ * Common implementation of gotoState() and the shorthand methods built on it.
+ * The "cause" object describes what made us leave the state, and is recorded
+ * in the FSM's history. "args" is the Array of payload arguments for the new
+ * state.
+ */
+FSMStateHandle.prototype._transition = function (state, cause, args) {
+	if (this.fsh_fsm.fsm_destroyed)
+		throw (destroyedError(this.fsh_fsm, 'enter state ' + state));
 	if (!this.fsh_valid) {
 		throw (new Error('FSM attempted to leave state ' +
 		    this.fsh_state + ' towards ' + state + ' via a handle ' +
 		    'that was already used to enter state ' +
 		    this.fsh_nextState));
 	}
+	if (regionOf(state) !== regionOf(this.fsh_state)) {
+		throw (new Error('FSM attempted to transition from state ' +
+		    this.fsh_state + ' to ' + state + ', which is in a ' +
+		    'different region'));
+	}
 	if (this.fsh_validTransitions !== undefined) {
 		if (this.fsh_validTransitions.indexOf(state) === -1) {
 			throw (new Error('Invalid FSM transition: ' +
 			    this.fsh_state + ' => ' + state));
 		}
 	}
+	var graph = this.fsh_fsm.fsm_graph;
+	if (graph !== undefined &&
+	    !mod_graph.edgeAllowed(graph, this.fsh_state, state)) {
+		throw (new Error('Invalid FSM transition: ' +
+		    this.fsh_state + ' => ' + state + ' (not in declared ' +
+		    'graph)'));
+	}
+	if (!this.fsh_fsm._checkGuards(this.fsh_state, state, args))
+		return (false);
 	this.fsh_valid = false;
 	this.fsh_nextState = state;
-	this.fsh_exitedAt = new Date();
-	return (this.fsh_fsm._gotoState(state));
+	this.fsh_exitedAt = new Date(this.fsh_fsm.fsm_scheduler.now());
+	return (this.fsh_fsm._gotoState(state, cause, args, this));
 };
 
+/* The arguments of the event are passed on to the new state. */
 FSMStateHandle.prototype.gotoStateOn = function (obj, evt, state) {
 	mod_assert.string(state, 'state');
 
 	var self = this;
 
 	self.on(obj, evt, function _gotoStateOn() {
-		self.gotoState(state);
+		self._transition(state, { method: 'gotoStateOn', event: evt },
+		    Array.prototype.slice.call(arguments));
 	});
 };
 
+/* Any arguments after "state" are passed on to the new state. */
 FSMStateHandle.prototype.gotoStateTimeout = function (timeout, state) {
 	mod_assert.string(state, 'state');
 
 	var self = this;
+	var args = Array.prototype.slice.call(arguments, 2);
 
 	self.timeout(timeout, function _gotoStateTimeout() {
-		self.gotoState(state);
+		self._transition(state, {
+			method: 'gotoStateTimeout',
+			timeout: timeout
+		}, args);
 	});
 };
 
+/*
+ * Wait for a delay which grows each time the FSM comes back to this point
+ * (see backoff.js for the strategies), then transition to options.state.
+ * Once options.maxAttempts delays have been used, transition straight to
+ * options.failState instead. Attempts are counted on the FSM under
+ * options.key (by default the name of this state), until
+ * FSM#resetBackoff() is called (or the fail state is entered).
+ *
+ * Returns the delay in milliseconds, or undefined if the attempts were
+ * exhausted.
+ */
+FSMStateHandle.prototype.backoff = function (options) {
+	var opts = mod_backoff.normalise(options, this.fsh_state);
+	var fsm = this.fsh_fsm;
+	var attempt = fsm.fsm_backoff[opts.key] || 0;
+
+	if (attempt >= opts.maxAttempts) {
+		delete (fsm.fsm_backoff[opts.key]);
+		this._transition(opts.failState, {
+			method: 'backoff',
+			attempts: attempt
+		}, []);
+		return (undefined);
+	}
+
+	fsm.fsm_backoff[opts.key] = attempt + 1;
+	var delay = mod_backoff.delay(opts, attempt);
+	var self = this;
+	this.timeout(delay, function _backoff() {
+		self._transition(opts.state, {
+			method: 'backoff',
+			attempt: attempt + 1,
+			delay: delay
+		}, []);
+	});
+	return (delay);
+};
+
+/*
+ * Set the table of inputs (see FSM#send()) handled in this state. Each key is
+ * an event name, and each value is either the name of a state to transition
+ * to (passing on the event's arguments), or a function to be called with the
+ * FSM as "this" and this handle followed by the event's arguments.
+ *
+ * Sub-states inherit the inputs of their parents, and may override them.
+ */
+FSMStateHandle.prototype.inputs = function (table) {
+	mod_assert.object(table, 'table');
+	if (!this.fsh_valid) {
+		throw (new Error('FSM attempted to set up inputs in state ' +
+		    this.fsh_state + ' but already called gotoState() to ' +
+		    'enter state ' + this.fsh_nextState));
+	}
+	if (this.fsh_inputs !== undefined)
+		throw (new Error('FSM inputs already set'));
+	Object.keys(table).forEach(function (evt) {
+		if (typeof (table[evt]) !== 'string')
+			mod_assert.func(table[evt], 'table["' + evt + '"]');
+	});
+	this.fsh_inputs = table;
+};
+
+/*
+ * Declare inputs (see FSM#send()) which are deferred in this state: if one is
+ * sent while we're here, it is held by the FSM and handled by the first later
+ * state which has a handler for it. Deferring an input in a sub-state
+ * overrides any handler for it in a parent state.
+ */
+FSMStateHandle.prototype.defer = function (events) {
+	mod_assert.arrayOfString(events, 'events');
+	if (!this.fsh_valid) {
+		throw (new Error('FSM attempted to set up defer in state ' +
+		    this.fsh_state + ' but already called gotoState() to ' +
+		    'enter state ' + this.fsh_nextState));
+	}
+	if (this.fsh_defer !== undefined)
+		throw (new Error('FSM deferred inputs already set'));
+	this.fsh_defer = events;
+};
+
+/*
+ * Handle an input sent with FSM#send() using our table of inputs. Like other
+ * handle callbacks, exceptions are handed to FSM#_handleError().
+ */
+FSMStateHandle.prototype._input = function (evt, args) {
+	var action = this.fsh_inputs[evt];
+	try {
+		if (typeof (action) === 'string') {
+			this._transition(action, { method: 'send', event: evt },
+			    args);
+		} else {
+			action.apply(this.fsh_fsm, [this].concat(args));
+		}
+	} catch (e) {
+		this.fsh_fsm._handleError(e, this.fsh_state);
+	}
+};
+
 FSMStateHandle.prototype.reset = function () {
 	this.fsh_valid = true;
 	this.fsh_nextState = undefined;
@@ -104,27 +243,49 @@ FSMStateHandle.prototype.reset = function () {
 
 /* Disconnect just this handle, returning our parent handle (if any). */
 FSMStateHandle.prototype.disconnect = function () {
+	var sched = this.fsh_fsm.fsm_scheduler;
 	var ls = this.fsh_listeners;
 	for (var i = 0; i < ls.length; ++i) {
 		ls[i][0].removeListener(ls[i][1], ls[i][2]);
 	}
 	var ts = this.fsh_timeouts;
 	for (i = 0; i < ts.length; ++i) {
-		clearTimeout(ts[i]);
+		sched.clearTimeout(ts[i]);
 	}
 	var is = this.fsh_intervals;
 	for (i = 0; i < is.length; ++i) {
-		clearInterval(is[i]);
+		sched.clearInterval(is[i]);
 	}
 	var ims = this.fsh_immediates;
 	for (i = 0; i < ims.length; ++i) {
-		clearImmediate(ims[i]);
+		sched.clearImmediate(ims[i]);
 	}
 	this.fsh_listeners = [];
 	this.fsh_timeouts = [];
 	this.fsh_intervals = [];
 	this.fsh_immediates = [];
+	this.fsh_inputs = undefined;
+	this.fsh_defer = undefined;
 	this.fsh_valid = false;
+	this.fsh_disconnected = true;
+	/*
+	 * Run cleanup functions and abort the signal last, so that anything
+	 * they do synchronously can't reach the handlers we just removed.
+	 * Cleanup functions run in reverse order of registration, and an
+	 * exception from one doesn't stop the rest (or the transition) from
+	 * going ahead: it's handed to the FSM to handle afterwards.
+	 */
+	var cs = this.fsh_cleanups;
+	this.fsh_cleanups = [];
+	for (i = cs.length - 1; i >= 0; --i) {
+		try {
+			cs[i].call(this.fsh_fsm);
+		} catch (e) {
+			this.fsh_fsm._deferError(e, this.fsh_state);
+		}
+	}
+	if (this.fsh_abort !== undefined)
+		this.fsh_abort.abort();
 	var link = this.fsh_link;
 	this.fsh_link = undefined;
 	return (link);
@@ -146,8 +307,9 @@ FSMStateHandle.prototype.on = function (obj, evt, cb) {
 		    this.fsh_state + ' but already called gotoState() to ' +
 		    'enter state ' + this.fsh_nextState));
 	}
-	obj.on(evt, cb);
-	this.fsh_listeners.push([obj, evt, cb]);
+	var wrapped = this._wrap(cb);
+	obj.on(evt, wrapped);
+	this.fsh_listeners.push([obj, evt, wrapped]);
 };
 
 FSMStateHandle.prototype.interval = function (interval, cb) {
@@ -158,7 +320,8 @@ FSMStateHandle.prototype.interval = function (interval, cb) {
 		    this.fsh_state + ' but already called gotoState() to ' +
 		    'enter state ' + this.fsh_nextState));
 	}
-	var timer = setInterval(cb, interval);
+	var timer = this.fsh_fsm.fsm_scheduler.setInterval(this._wrap(cb),
+	    interval);
 	this.fsh_intervals.push(timer);
 	return (timer);
 };
@@ -171,7 +334,8 @@ FSMStateHandle.prototype.timeout = function (timeout, cb) {
 		    this.fsh_state + ' but already called gotoState() to ' +
 		    'enter state ' + this.fsh_nextState));
 	}
-	var timer = setTimeout(cb, timeout);
+	var timer = this.fsh_fsm.fsm_scheduler.setTimeout(this._wrap(cb),
+	    timeout);
 	this.fsh_timeouts.push(timer);
 	return (timer);
 };
@@ -183,7 +347,7 @@ FSMStateHandle.prototype.immediate = function (cb) {
 		    this.fsh_state + ' but already called gotoState() to ' +
 		    'enter state ' + this.fsh_nextState));
 	}
-	var timer = setImmediate(cb);
+	var timer = this.fsh_fsm.fsm_scheduler.setImmediate(this._wrap(cb));
 	this.fsh_immediates.push(timer);
 	return (timer);
 };
@@ -196,14 +360,248 @@ FSMStateHandle.prototype.callback = function (cb) {
 		    'enter state ' + this.fsh_nextState));
 	}
 	var s = this;
+	var wrapped = this._wrap(cb);
 	return (function () {
 		var args = arguments;
 		if (s.fsh_valid)
-			return (cb.apply(this, args));
+			return (wrapped.apply(this, args));
 		return (undefined);
 	});
 };
 
+/*
+ * Start a child FSM whose lifetime is bound to this state: it is destroyed
+ * when the FSM leaves the state (if it hasn't finished by then). "child" is
+ * the child FSM, or a function (called with the parent FSM as "this") which
+ * creates and returns one. "states" optionally maps the names of terminal
+ * states of the child to states of the parent: when the child finishes in
+ * one of them, we transition to the corresponding state, passing the child
+ * as the payload (like gotoStateOn() with the child's 'finished' event).
+ *
+ * Returns the child FSM.
+ */
+FSMStateHandle.prototype.child = function (child, states) {
+	mod_assert.optionalObject(states, 'states');
+	if (!this.fsh_valid) {
+		throw (new Error('FSM attempted to set up child in state ' +
+		    this.fsh_state + ' but already called gotoState() to ' +
+		    'enter state ' + this.fsh_nextState));
+	}
+	if (typeof (child) === 'function')
+		child = child.call(this.fsh_fsm);
+	if (!(child instanceof FSM)) {
+		throw (new Error('FSM child in state ' + this.fsh_state +
+		    ' is not an FSM'));
+	}
+	if (child.isDestroyed() && !child.isFinished()) {
+		throw (new Error('FSM attempted to start child ' +
+		    child.fsm_clsname + ' (' + child.fsm_id + ') in state ' +
+		    this.fsh_state + ' but it was already destroyed'));
+	}
+
+	var self = this;
+	if (states !== undefined) {
+		Object.keys(states).forEach(function (s) {
+			mod_assert.string(states[s], 'states["' + s + '"]');
+			if (child.fsm_terminal.indexOf(s) === -1) {
+				throw (new Error('FSM child ' +
+				    child.fsm_clsname + ' has no terminal ' +
+				    'state ' + s));
+			}
+		});
+		this.on(child, 'finished', function _childFinished(s) {
+			if (!states.hasOwnProperty(s))
+				return;
+			self._transition(states[s], {
+				method: 'child',
+				state: s
+			}, [child]);
+		});
+	}
+	this.cleanup(function () {
+		child.destroy();
+	});
+	return (child);
+};
+
+/*
+ * Wrap a callback registered through this handle, so that an exception it
+ * throws is handed to the FSM (see FSM#_handleError()) instead of escaping
+ * into whatever called it.
+ */
+FSMStateHandle.prototype._wrap = function (cb) {
+	var fsm = this.fsh_fsm;
+	var state = this.fsh_state;
+	return (function () {
+		try {
+			return (cb.apply(this, arguments));
+		} catch (e) {
+			fsm._handleError(e, state);
+			return (undefined);
+		}
+	});
+};
+
+/*
+ * Register a function to be called (with the FSM as "this") when the FSM
+ * leaves this state, e.g. to close a socket or file opened on entry.
+ */
+FSMStateHandle.prototype.cleanup = function (cb) {
+	mod_assert.func(cb, 'cb');
+	if (!this.fsh_valid) {
+		throw (new Error('FSM attempted to set up cleanup in state ' +
+		    this.fsh_state + ' but already called gotoState() to ' +
+		    'enter state ' + this.fsh_nextState));
+	}
+	this.fsh_cleanups.push(cb);
+};
+
+/*
+ * Returns an AbortSignal which is aborted when the FSM leaves this state
+ * (i.e. when the handle is disconnected). The signal is created on first use,
+ * and the same one is returned by subsequent calls.
+ */
+FSMStateHandle.prototype.signal = function () {
+	if (this.fsh_abort === undefined) {
+		if (!this.fsh_valid) {
+			throw (new Error('FSM attempted to set up signal in ' +
+			    'state ' + this.fsh_state + ' but already called ' +
+			    'gotoState() to enter state ' +
+			    this.fsh_nextState));
+		}
+		if (typeof (AbortController) !== 'function') {
+			throw (new Error('FSM state handle signals require ' +
+			    'AbortController support'));
+		}
+		this.fsh_abort = new AbortController();
+	}
+	return (this.fsh_abort.signal);
+};
+
+/*
+ * Turn the argument to promise() or gotoStateOnPromise() into a Promise. It
+ * may be a promise (or other "thenable"), or a function (such as an async
+ * function) which returns one.
+ */
+function toPromise(p) {
+	if (typeof (p) === 'function') {
+		try {
+			p = p();
+		} catch (e) {
+			return (Promise.reject(e));
+		}
+		return (Promise.resolve(p));
+	}
+	mod_assert.object(p, 'promise');
+	mod_assert.func(p.then, 'promise.then');
+	return (Promise.resolve(p));
+}
+
+/*
+ * Wait for a promise to settle, then call "cb" node-style with its rejection
+ * reason or resolved value. Like callback(), if the FSM has left the state by
+ * the time the promise settles, the result is silently dropped.
+ */
+FSMStateHandle.prototype.promise = function (p, cb) {
+	mod_assert.func(cb, 'cb');
+	this._promise(p, function (rejected, v) {
+		if (rejected)
+			cb.call(this, v);
+		else
+			cb.call(this, null, v);
+	});
+};
+
+/*
+ * Common code for promise() and gotoStateOnPromise(): calls cb(rejected, v)
+ * once "p" settles, where "v" is the value or reason, unless we've left the
+ * state by then.
+ *
+ * An exception which gets past _wrap() (i.e. one re-thrown by _handleError())
+ * would only become an unhandled rejection here, so it's thrown again from
+ * outside the promise chain instead.
+ */
+FSMStateHandle.prototype._promise = function (p, cb) {
+	if (!this.fsh_valid) {
+		throw (new Error('FSM attempted to set up promise in state ' +
+		    this.fsh_state + ' but already called gotoState() to ' +
+		    'enter state ' + this.fsh_nextState));
+	}
+	var s = this;
+	var sched = this.fsh_fsm.fsm_scheduler;
+	var wrapped = this._wrap(cb);
+	function settle(rejected, v) {
+		if (!s.fsh_valid)
+			return;
+		try {
+			wrapped(rejected, v);
+		} catch (e) {
+			sched.setImmediate(function () {
+				throw (e);
+			});
+		}
+	}
+	toPromise(p).then(function (val) {
+		settle(false, val);
+	}, function (err) {
+		settle(true, err);
+	});
+};
+
+/*
+ * Transitions to "resolvedState" if the promise resolves, or "rejectedState"
+ * if it rejects (and nothing if the FSM has left the state by then). The
+ * value or error is passed on to the new state.
+ */
+FSMStateHandle.prototype.gotoStateOnPromise = function (p, resolvedState,
+    rejectedState) {
+	mod_assert.string(resolvedState, 'resolvedState');
+	mod_assert.string(rejectedState, 'rejectedState');
+
+	var self = this;
+
+	self._promise(p, function _gotoStateOnPromise(rejected, v) {
+		if (rejected) {
+			self._transition(rejectedState, {
+				method: 'gotoStateOnPromise',
+				settled: 'rejected'
+			}, [v]);
+		} else {
+			self._transition(resolvedState, {
+				method: 'gotoStateOnPromise',
+				settled: 'resolved'
+			}, [v]);
+		}
+	});
+};
+
+/* "what" describes the attempted action, e.g. "enter state foo". */
+function destroyedError(fsm, what) {
+	var why = (fsm.fsm_finishedState === undefined ?
+	    'it was destroyed' :
+	    'it finished in terminal state ' + fsm.fsm_finishedState);
+	return (new Error('FSM ' + fsm.fsm_clsname + ' (' + fsm.fsm_id + ') ' +
+	    'attempted to ' + what + ' after ' + why));
+}
+
+/*
+ * The current state of one region of an FSM. Every FSM has a main region
+ * (named ''), and may have additional parallel regions, whose state names
+ * are qualified with the region name (e.g. 'health:ok').
+ */
+function FSMRegion(name) {
+	this.fsr_name = name;
+	this.fsr_state = undefined;
+	this.fsr_handle = undefined;
+	this.fsr_record = undefined;
+}
+
+/* Returns the name of the region a (qualified) state name belongs to. */
+function regionOf(state) {
+	var i = state.indexOf(':');
+	return (i === -1 ? '' : state.slice(0, i));
+}
+
 /*
  * fsm.js: a small library for Moore finite state machines.
  *
@@ -222,34 +620,200 @@ FSMStateHandle.prototype.callback = function (cb) {
  * the FSM leaves its current state. This way we avoid any stale callbacks
  * from a previous state being called with new data.
  *
- * FSM also supports "sub-states", which share their callbacks with the rest of
- * their family. They are also considered equivalent to the parent state when
- * used with "onState".
+ * FSM also supports "sub-states" (nested to any depth, e.g. "a.b.c"), which
+ * share their callbacks with the rest of their family. They are also
+ * considered equivalent to the parent state when used with "isInState".
+ *
+ * States may optionally also have an exit function, named exit_X (and nested
+ * in the same way for sub-states), which is run when the state is left with
+ * the old and new state names as arguments, and a re-entry function, named
+ * reenter_X, which is used instead of state_X when restoring a snapshot.
+ *
+ * An FSM may also have "parallel regions", each of which has its own current
+ * state and handles, independent of the main one. States in a region are
+ * named "region:state".
+ *
+ * Subclasses may optionally declare their full state graph with
+ * FSM.defineGraph(), in which case it is validated against the state
+ * functions when the first instance is constructed, and transitions outside
+ * the graph are refused.
+ *
+ * The optional "options" argument is an Object, which may contain:
+ *   - historyDepth: Number, how many past states to keep in the history
+ *                   returned by getHistory() (default 7, may be Infinity)
+ *   - errorState: String, a state which indicates that the FSM has failed
+ *                 (rejects any outstanding waitForState() promises). If a
+ *                 state entry function or handle callback throws, the FSM
+ *                 goes to this state (see _handleError()).
+ *   - regions: Object, mapping the name of each parallel region to its
+ *              initial (qualified) state
+ *   - restore: Object, a snapshot previously returned by snapshot(). The FSM
+ *              is restored into the snapshot's states (by calling their
+ *              reenter_X functions) instead of entering its initial state.
+ *   - scheduler: Object, the scheduler to use for all timers and timestamps
+ *                (see scheduler.js), instead of the default one set with
+ *                FSM.setDefaultScheduler()
+ *   - terminal: Array of String, states which are final (in addition to any
+ *               listed in the declared graph). Once the FSM enters one, it is
+ *               destroyed and emits 'finished'.
+ *   - unhandledEvent: what to do with an input sent with send() which the
+ *                     current state(s) have no handler for: 'throw' (the
+ *                     default), 'ignore', 'queue' (keep it until a state
+ *                     which handles it is entered), or a Function to call
+ *                     instead, with the FSM as "this" and the event name
+ *                     followed by its arguments
+ *   - discardDeferred: Array of String, states on entry to which any inputs
+ *                      being held (deferred, or queued by the 'queue'
+ *                      policy) are discarded. They are always discarded
+ *                      when the FSM finishes or is destroyed.
+ *   - maxTransitionChain: Number, the most transitions which may be run in
+ *                         one causal chain (see _runTransitions())
+ *                         before we give up and throw, assuming that the FSM
+ *                         is in an infinite loop (default 1000, may be
+ *                         Infinity)
  */
-function FSM(defState) {
+function FSM(defState, options) {
 	mod_assert.string(defState, 'default state');
-	this.fsm_id = FSM.genId();
+	mod_assert.optionalObject(options, 'options');
+	if (options === undefined)
+		options = {};
+	if (options.historyDepth !== Infinity) {
+		mod_assert.optionalNumber(options.historyDepth,
+		    'options.historyDepth');
+	}
+	mod_assert.optionalString(options.errorState, 'options.errorState');
+	mod_assert.optionalObject(options.regions, 'options.regions');
+	var regions = options.regions || {};
+	mod_assert.optionalObject(options.restore, 'options.restore');
+	mod_assert.optionalObject(options.scheduler, 'options.scheduler');
+	mod_assert.optionalArrayOfString(options.terminal, 'options.terminal');
+	if (options.maxTransitionChain !== Infinity) {
+		mod_assert.optionalNumber(options.maxTransitionChain,
+		    'options.maxTransitionChain');
+	}
+	mod_assert.optionalArrayOfString(options.discardDeferred,
+	    'options.discardDeferred');
+	var unhandled = (options.unhandledEvent === undefined ? 'throw' :
+	    options.unhandledEvent);
+	if (typeof (unhandled) !== 'function' &&
+	    UNHANDLED_POLICIES.indexOf(unhandled) === -1) {
+		throw (new Error('Invalid FSM unhandledEvent policy "' +
+		    unhandled + '" (must be a function or one of: ' +
+		    UNHANDLED_POLICIES.join(', ') + ')'));
+	}
+	if (options.restore !== undefined) {
+		/* A restored FSM keeps its id, for correlation with logs. */
+		mod_assert.string(options.restore.id, 'options.restore.id');
+		this.fsm_id = options.restore.id;
+	} else {
+		this.fsm_id = FSM.genId();
+	}
 	this.fsm_clsname = this.constructor.name;
 	if (this.fsm_clsname.length === 0)
 		this.fsm_clsname = 'FSM';
+	if (this.fsm_graph !== undefined)
+		this._checkGraph(defState, regions);
+	this.fsm_scheduler = (options.scheduler === undefined ?
+	    defaultScheduler : options.scheduler);
 	this.fsm_history = [];
-	this.fsm_handle = undefined;
+	this.fsm_historyDepth = (options.historyDepth === undefined ?
+	    DEFAULT_HISTORY_DEPTH : options.historyDepth);
+	this.fsm_errorState = options.errorState;
+	this.fsm_terminal = (options.terminal || []).slice();
+	if (this.fsm_graph !== undefined) {
+		this.fsm_graph.terminal.forEach(function (s) {
+			if (this.fsm_terminal.indexOf(s) === -1)
+				this.fsm_terminal.push(s);
+		}, this);
+	}
+	this.fsm_regions = { '': new FSMRegion('') };
+	Object.keys(regions).forEach(function (name) {
+		mod_assert.string(regions[name], 'options.regions["' + name +
+		    '"]');
+		if (name.length === 0 || /[:.]/.test(name)) {
+			throw (new Error('Invalid FSM region name: "' +
+			    name + '"'));
+		}
+		if (regionOf(regions[name]) !== name) {
+			throw (new Error('FSM region ' + name + ' has ' +
+			    'initial state ' + regions[name] + ', which ' +
+			    'is not in that region'));
+		}
+		this.fsm_regions[name] = new FSMRegion(name);
+	}, this);
 	this.fsm_inTransition = false;
+	this.fsm_transitionQueue = [];
+	/* The chain of transitions which led to what we're running now. */
+	this.fsm_chain = undefined;
+	this.fsm_maxChain = (options.maxTransitionChain === undefined ?
+	    DEFAULT_MAX_TRANSITION_CHAIN : options.maxTransitionChain);
 	if (this.fsm_allStateEvents === undefined)
 		this.fsm_allStateEvents = [];
 	this.fsm_state = undefined;
 	this.fsm_toEmit = [];
+	this.fsm_observers = [];
+	this.fsm_destroyed = false;
+	this.fsm_finishedState = undefined;
+	this.fsm_backoff = {};
+	this.fsm_lastError = undefined;
+	/* Functions which reject waitForState() Promises on destroy(). */
+	this.fsm_waiters = [];
+	this.fsm_unhandled = unhandled;
+	/* Inputs sent while in transition, and those held by 'queue'. */
+	this.fsm_inputs = [];
+	this.fsm_heldInputs = [];
+	this.fsm_draining = false;
+	this.fsm_discardDeferred = options.discardDeferred || [];
 	EventEmitter.call(this);
-	if (dt !== undefined) {
-		var self = this;
-		dt.create.fire(function () {
-			return ([self.fsm_clsname, self.fsm_id]);
-		});
+	this._trace('createFsm');
+	if (regionOf(defState) !== '') {
+		throw (new Error('FSM initial state ' + defState + ' is not ' +
+		    'in the main region'));
+	}
+	if (options.restore !== undefined) {
+		this._restore(options.restore);
+		return;
 	}
 	this._gotoState(defState);
+	Object.keys(regions).forEach(function (name) {
+		this._gotoState(regions[name]);
+	}, this);
 }
 mod_util.inherits(FSM, EventEmitter);
 
+/*
+ * Set the scheduler used by FSMs constructed from now on, unless they are
+ * given one in their options. Pass undefined to go back to using the real
+ * timer functions.
+ */
+FSM.setDefaultScheduler = function (scheduler) {
+	mod_assert.optionalObject(scheduler, 'scheduler');
+	defaultScheduler = (scheduler === undefined ?
+	    mod_scheduler.realScheduler : scheduler);
+};
+
+/*
+ * Register a tracer, to be called at FSM creation and at the start and end of
+ * every transition of every FSM (see tracers.js for the interface).
+ */
+FSM.addTracer = function (tracer) {
+	mod_assert.object(tracer, 'tracer');
+	if (tracers.indexOf(tracer) === -1)
+		tracers.push(tracer);
+};
+
+FSM.removeTracer = function (tracer) {
+	mod_assert.object(tracer, 'tracer');
+	var idx = tracers.indexOf(tracer);
+	if (idx !== -1)
+		tracers.splice(idx, 1);
+};
+
+/* Returns an Array of the currently registered tracers. */
+FSM.getTracers = function () {
+	return (tracers.slice());
+};
+
 FSM.genId = function () {
 	var b = mod_crypto.randomBytes(8);
 	/*
@@ -259,14 +823,215 @@ FSM.genId = function () {
 	return (b.toString('base64').slice(0, 11));
 };
 
-FSM.prototype.getState = function () {
-	return (this.fsm_state);
+/*
+ * Declare the full state graph of an FSM subclass. "graph" is an Object with
+ * the properties:
+ *   - initial: String, name of the initial state
+ *   - states: Object, mapping each state (and sub-state) name to an Array of
+ *             the names of states it may transition to
+ *   - terminal: optional Array of String, states which may have no exits
+ *   - regions: optional Object, mapping the name of each parallel region to
+ *              its initial state
+ */
+FSM.defineGraph = function (klass, graph) {
+	mod_assert.func(klass, 'klass');
+	klass.prototype.fsm_graph = mod_graph.normalise(graph);
+};
+
+/*
+ * Attach a guard to the edge "from" => "to" of an FSM subclass. Before the
+ * transition is taken, "guard" is called with the FSM instance followed by
+ * the payload arguments for the new state (if any), and the transition only
+ * goes ahead if it returns true. "from" may be '*' to guard every edge into
+ * "to".
+ *
+ * Guards are inherited by subclasses, and all of the guards on an edge must
+ * pass.
+ */
+FSM.defineGuard = function (klass, from, to, guard) {
+	mod_assert.func(klass, 'klass');
+	mod_assert.string(from, 'from');
+	mod_assert.string(to, 'to');
+	mod_assert.func(guard, 'guard');
+	var proto = klass.prototype;
+	if (!proto.hasOwnProperty('fsm_guards'))
+		proto.fsm_guards = [];
+	proto.fsm_guards.push({ from: from, to: to, guard: guard });
+};
+
+/*
+ * Check the declared graph of an FSM subclass against its state functions,
+ * without constructing an instance. Returns an Array of String problem
+ * descriptions, which is empty if the graph is valid.
+ */
+FSM.validateGraph = function (klass) {
+	mod_assert.func(klass, 'klass');
+	var graph = klass.prototype.fsm_graph;
+	if (graph === undefined) {
+		throw (new Error('FSM class ' + klass.name + ' has no ' +
+		    'declared graph'));
+	}
+	return (mod_graph.validate(klass.prototype, graph));
+};
+
+/*
+ * Validate our class's declared graph the first time an instance of it is
+ * constructed (the result is remembered on the prototype, so subclasses
+ * which add states of their own are checked separately).
+ */
+FSM.prototype._checkGraph = function (defState, regions) {
+	var proto = Object.getPrototypeOf(this);
+	if (!proto.hasOwnProperty('fsm_graphValidated')) {
+		var problems = mod_graph.validate(proto, this.fsm_graph);
+		if (problems.length > 0) {
+			throw (new Error('FSM graph for ' + this.fsm_clsname +
+			    ' is invalid: ' + problems.join('; ')));
+		}
+		proto.fsm_graphValidated = true;
+	}
+	if (defState !== this.fsm_graph.initial) {
+		throw (new Error('FSM ' + this.fsm_clsname + ' started in ' +
+		    'state ' + defState + ' but its declared initial state ' +
+		    'is ' + this.fsm_graph.initial));
+	}
+	var declared = this.fsm_graph.regions;
+	var names = Object.keys(regions);
+	if (names.length !== Object.keys(declared).length) {
+		throw (new Error('FSM ' + this.fsm_clsname + ' has regions ' +
+		    '[' + names.join(', ') + '] but its declared graph has ' +
+		    '[' + Object.keys(declared).join(', ') + ']'));
+	}
+	names.forEach(function (name) {
+		if (regions[name] !== declared[name]) {
+			throw (new Error('FSM ' + this.fsm_clsname +
+			    ' region ' + name + ' started in state ' +
+			    regions[name] + ' but its declared initial ' +
+			    'state is ' + declared[name]));
+		}
+	}, this);
+};
+
+FSM.prototype._getRegion = function (name) {
+	var r = this.fsm_regions[name];
+	if (r === undefined)
+		throw (new Error('Unknown FSM region: ' + name));
+	return (r);
+};
+
+/*
+ * Returns the current state of the main region, or of the named parallel
+ * region.
+ */
+FSM.prototype.getState = function (region) {
+	mod_assert.optionalString(region, 'region');
+	if (region === undefined)
+		return (this.fsm_state);
+	return (this._getRegion(region).fsr_state);
+};
+
+/*
+ * Returns the combined configuration of the FSM: an Array of the current
+ * states of all of its regions (the main region first).
+ */
+FSM.prototype.getStates = function () {
+	var regions = this.fsm_regions;
+	return (Object.keys(regions).map(function (name) {
+		return (regions[name].fsr_state);
+	}));
 };
 
 FSM.prototype.isInState = function (state) {
 	mod_assert.string(state, 'state');
-	return (this.fsm_state === state ||
-	    this.fsm_state.indexOf(state + '.') === 0);
+	var r = this._getRegion(regionOf(state));
+	return (stateMatches(r.fsr_state, state));
+};
+
+/* Is state "s" equal to "target", or one of its sub-states? */
+function stateMatches(s, target) {
+	return (s === target || s.indexOf(target + '.') === 0);
+}
+
+/*
+ * Returns the recorded history of this FSM's state transitions, as an Array
+ * of Objects (oldest first), one for each state entered, with properties:
+ *   - state: String, name of the state
+ *   - previous: String, name of the state before it (or undefined)
+ *   - enteredAt: Date, when the state was entered
+ *   - exitedAt: Date, when the state was exited (undefined if current)
+ *   - duration: Number, milliseconds spent in the state (undefined if current)
+ *   - exitCause: Object describing what caused the exit (undefined if
+ *                current), with a "method" property naming the handle method
+ *                used ("gotoState", "gotoStateOn", "gotoStateTimeout",
+ *                "gotoStateOnPromise", "backoff" or "child"), or "send" for
+ *                an input handled by a state name in an inputs() table, or
+ *                "error" for a move to the error state. The other properties
+ *                are "event" (for "gotoStateOn" and "send"), "timeout",
+ *                "settled", "attempt" and "delay" (or "attempts", when they
+ *                are exhausted) for "backoff", "state" (the child's terminal
+ *                state) for "child", or "message" for "error".
+ */
+FSM.prototype.getHistory = function () {
+	return (this.fsm_history.map(function (r) {
+		return ({
+			state: r.state,
+			previous: r.previous,
+			enteredAt: r.enteredAt,
+			exitedAt: r.exitedAt,
+			duration: r.duration,
+			exitCause: r.exitCause
+		});
+	}));
+};
+
+/*
+ * Returns a Promise which resolves on the next 'stateChanged' event for the
+ * given state (or any of its sub-states, as with isInState()). If the FSM
+ * enters its configured error state, finishes in a terminal state or is
+ * destroyed first, the Promise is rejected.
+ */
+FSM.prototype.waitForState = function (state) {
+	mod_assert.string(state, 'state');
+	if (this.fsm_destroyed) {
+		return (Promise.reject(destroyedError(this,
+		    'wait for state ' + state)));
+	}
+	var self = this;
+	var errState = this.fsm_errorState;
+	return (new Promise(function (resolve, reject) {
+		function done() {
+			self.removeListener('stateChanged', onStateChanged);
+			self.removeListener('finished', onFinished);
+			var i = self.fsm_waiters.indexOf(onDestroyed);
+			if (i !== -1)
+				self.fsm_waiters.splice(i, 1);
+		}
+		function onStateChanged(s) {
+			if (stateMatches(s, state)) {
+				done();
+				resolve(s);
+			} else if (errState !== undefined &&
+			    stateMatches(s, errState)) {
+				done();
+				reject(new Error('FSM ' + self.fsm_clsname +
+				    ' entered error state ' + s + ' while ' +
+				    'waiting for state ' + state));
+			}
+		}
+		function onFinished(s) {
+			done();
+			reject(new Error('FSM ' + self.fsm_clsname +
+			    ' finished in terminal state ' + s + ' while ' +
+			    'waiting for state ' + state));
+		}
+		function onDestroyed() {
+			done();
+			reject(new Error('FSM ' + self.fsm_clsname +
+			    ' was destroyed while waiting for state ' + state));
+		}
+		self.on('stateChanged', onStateChanged);
+		self.on('finished', onFinished);
+		self.fsm_waiters.push(onDestroyed);
+	}));
 };
 
 FSM.prototype.allStateEvent = function (evt) {
@@ -276,86 +1041,568 @@ FSM.prototype.allStateEvent = function (evt) {
 	this.fsm_allStateEvents.push(evt);
 };
 
-/* Transition the FSM to a new state. */
-FSM.prototype._gotoState = function (state) {
+/*
+ * Transition the FSM to a new state, passing "args" (an optional Array) to
+ * its entry function after the handle. "handle" is the state handle which
+ * requested the transition (undefined for initial states).
+ *
+ * If we're already in transition, the new one is queued (see
+ * _runTransitions()).
+ */
+FSM.prototype._gotoState = function (state, cause, args, handle) {
 	mod_assert.string(state, 'state');
 
-	if (this.fsm_inTransition) {
-		mod_assert.ok(this.fsm_nextState === undefined);
-		this.fsm_nextState = state;
-		return;
+	if (this.fsm_destroyed)
+		throw (destroyedError(this, 'enter state ' + state));
+
+	this.fsm_transitionQueue.push({
+		state: state,
+		cause: cause,
+		args: args,
+		handle: handle,
+		chain: this.fsm_chain
+	});
+	if (!this.fsm_inTransition)
+		this._runTransitions();
+};
+
+/* Returns true if a queued transition's handle is still connected. */
+function liveTransition(tr) {
+	return (tr.handle === undefined || !tr.handle.fsh_disconnected);
+}
+
+/*
+ * Run queued transitions until there are none left. Transitions have
+ * run-to-completion semantics: one requested while another is in progress
+ * (e.g. by a state's entry or exit function, or by a listener for an event
+ * they emit synchronously) waits until the current one, and any queued
+ * before it, are complete. Queued transitions are run in the order they were
+ * requested, except that those requested through a handle which has since
+ * been disconnected (because an earlier transition left its state) are
+ * dropped.
+ *
+ * Each transition (and each input sent) remembers the "chain" of transitions
+ * which caused it, whether directly or through inputs sent along the way. The
+ * length of a chain is limited by the maxTransitionChain option in order to
+ * catch infinite loops.
+ */
+FSM.prototype._runTransitions = function () {
+	var saved = this.fsm_chain;
+	this.fsm_inTransition = true;
+	try {
+		while (this.fsm_transitionQueue.length > 0 &&
+		    !this.fsm_destroyed) {
+			var tr = this.fsm_transitionQueue.shift();
+			if (!liveTransition(tr))
+				continue;
+			var from = this._getRegion(regionOf(tr.state)).
+			    fsr_state;
+			var len = (tr.chain === undefined ? 0 :
+			    tr.chain.length);
+			if (len >= this.fsm_maxChain) {
+				/* Nor any inputs sent along the way. */
+				this.fsm_inputs = [];
+				throw (new Error('FSM ' + this.fsm_clsname +
+				    ' (' + this.fsm_id + ') exceeded the ' +
+				    'maximum transition chain length of ' +
+				    this.fsm_maxChain + ' (possible infinite ' +
+				    'loop): ' + describeChain(tr.chain,
+				    [from, tr.state])));
+			}
+			this.fsm_chain = {
+				state: from,
+				prev: tr.chain,
+				length: len + 1
+			};
+			this._enterState(tr.state, tr.cause, tr.args);
+		}
+	} catch (e) {
+		/* Don't leave the rest of a failed chain to run later. */
+		this.fsm_transitionQueue = [];
+		throw (e);
+	} finally {
+		this.fsm_inTransition = false;
+		this.fsm_chain = saved;
 	}
+	this._processInputs();
+};
 
-	var self = this;
-	var oldState = this.fsm_state;
-	if (dt !== undefined) {
-		dt.start.fire(function () {
-			return ([self.fsm_clsname, self.fsm_id,
-			    oldState, state]);
-		});
+/*
+ * Describe the end of a chain of transitions for an error message, given the
+ * chain and an Array of the states which follow it.
+ */
+function describeChain(chain, states) {
+	var MAX = 12;
+	for (; chain !== undefined && states.length <= MAX;
+	    chain = chain.prev) {
+		states.unshift(chain.state);
+	}
+	var ret = states.slice(-MAX).map(function (s) {
+		return (s === undefined ? '(initial)' : s);
+	});
+	if (chain !== undefined || states.length > MAX)
+		ret.unshift('...');
+	return (ret.join(' => '));
+}
+
+/*
+ * Enter a state: the real work of a transition, which is always run from
+ * _runTransitions().
+ */
+FSM.prototype._enterState = function (state, cause, args) {
+	var r = this._getRegion(regionOf(state));
+	var oldState = r.fsr_state;
+	this._trace('transitionStart', oldState, state);
+
+	var f = mod_graph.lookupState(this, state);
+	if (f === undefined) {
+		if (state.indexOf('.') === -1)
+			throw (new Error('Unknown FSM state: ' + state));
+		throw (new Error('Unknown FSM sub-state: ' + state));
 	}
 
 	/*
 	 * First, kill event handlers and timers from our previous state, as
-	 * needed.
+	 * needed. The handles form a chain from the current state up through
+	 * its parent states. Those belonging to a parent of the new state
+	 * stay connected, while everything below the common parent is
+	 * disconnected, innermost first. For example:
+	 *
+	 *  - 'connected' => 'connected.idle': nothing is disconnected
+	 *  - 'connected.idle' => 'connected.busy': only the handle from
+	 *    'connected.idle' is disconnected, leaving 'connected' alone
+	 *  - 'a.b.c' => 'a.d': 'a.b.c' and 'a.b' are disconnected
+	 *  - 'connected' => 'closing': everything is disconnected
+	 *
+	 * Re-entering the exact same state disconnects its handle, too. The
+	 * remaining parent handle is reset in case it was the cause of the
+	 * transition.
+	 *
+	 * The exit function (if any) for each state we leave runs straight
+	 * after its handle is disconnected. We count as being in transition
+	 * while they run, so that any transitions they cause are queued.
+	 *
+	 * If an exit function (or below, the entry function) throws, we
+	 * still finish the transition before handling the exception, so that
+	 * we're never left half-way between states. Only the first exception
+	 * is handled.
 	 */
-	var parts = (this.fsm_state ? this.fsm_state.split('.') : ['']);
-	var newParts = state.split('.');
-	if (newParts.length > 2)
-		throw (new Error('Invalid FSM destination state: ' + state));
-	if (this.fsm_handle !== undefined) {
-		if (parts[0] === newParts[0] && parts[1] === undefined &&
-		    newParts[1] !== undefined) {
-			/*
-			 * e.g. 'connected' => 'connected.idle'. Don't
-			 * disconnect anything.
-			 */
-			this.fsm_handle.reset();
-		} else if (parts[0] === newParts[0] && parts[1] !== undefined &&
-		    newParts[1] !== undefined) {
-			/*
-			 * e.g. 'connected.idle' => 'connected.busy'. Just
-			 * disconnect the things we set up in 'connected.idle'
-			 * while leaving things from 'connected' alone. Also
-			 * reset the parent handle in case it was the cause of
-			 * the transition.
-			 *
-			 * Note we end up here if we're re-entering the same
-			 * exact state, too.
-			 */
-			this.fsm_handle = this.fsm_handle.disconnect();
-			if (this.fsm_handle !== undefined)
-				this.fsm_handle.reset();
-		} else {
-			/*
-			 * e.g. 'connected' => 'closing'. Disconnect all
-			 * handlers (including from any parent states).
-			 */
-			this.fsm_handle.disconnectAll();
-			this.fsm_handle = undefined;
+	var err, errState;
+	var failed = false;
+	var h = r.fsr_handle;
+	while (h !== undefined &&
+	    (h.fsh_state === state || !stateMatches(state, h.fsh_state))) {
+		var exited = h.fsh_state;
+		h = h.disconnect();
+		var xf = mod_graph.lookupHook(this, 'exit_', exited);
+		if (xf === undefined)
+			continue;
+		try {
+			xf.call(this, oldState, state);
+		} catch (e) {
+			if (!failed) {
+				err = e;
+				errState = exited;
+				failed = true;
+			}
 		}
 	}
+	if (h !== undefined)
+		h.reset();
+
+	r.fsr_state = state;
+	if (r.fsr_name === '')
+		this.fsm_state = state;
+
+	r.fsr_handle = new FSMStateHandle(this, state, h);
+
+	if (this.fsm_discardDeferred.some(stateMatches.bind(null, state)))
+		this.fsm_heldInputs = [];
+
+	var prev = r.fsr_record;
+	this._recordHistory(r, state, cause);
+	var info = this._transitionInfo(r, oldState,
+	    (prev === undefined ? undefined : prev.duration), cause);
+	this.fsm_observers.forEach(function (cb) {
+		cb(oldState, state);
+	});
 
-	var f = this['state_' + newParts[0]];
-	if (typeof (f) !== 'function')
-		throw (new Error('Unknown FSM state: ' + state));
-	if (newParts[1] !== undefined) {
-		f = f[newParts[1]];
-		if (typeof (f) !== 'function')
-			throw (new Error('Unknown FSM sub-state: ' + state));
+	/*
+	 * If the entry function throws, we skip the consistency checks, which
+	 * it may not have got to.
+	 */
+	var entered = false;
+	try {
+		f.apply(this, [r.fsr_handle].concat(args || []));
+		entered = true;
+	} catch (e) {
+		if (!failed) {
+			err = e;
+			errState = state;
+			failed = true;
+		}
 	}
-	this.fsm_state = state;
 
-	this.fsm_handle = new FSMStateHandle(this, state, this.fsm_handle);
+	var terminal = (this.fsm_terminal.indexOf(state) !== -1);
+	if (!terminal && entered)
+		this._checkAllStateEvents(state);
+	this._queueStateChanged(state, info);
 
-	this.fsm_history.push([state, new Date()]);
-	if (this.fsm_history.length >= 8)
-		this.fsm_history.shift();
+	this._trace('transitionEnd', oldState, state, info.elapsed);
 
-	this.fsm_inTransition = true;
-	f.call(this, this.fsm_handle);
-	this.fsm_inTransition = false;
+	/*
+	 * Nothing can leave a terminal state, not even for the error state, so
+	 * we finish even if something threw, and then report the exception as
+	 * for any other destroyed FSM.
+	 */
+	if (terminal) {
+		if (failed)
+			this.fsm_transitionQueue = [];
+		this._finish(state);
+	}
+	if (failed)
+		this._handleError(err, errState);
+};
+
+/*
+ * Handle an exception thrown by the entry function of "state", or by a
+ * callback registered through its handle. It is recorded (see
+ * getLastError()) and any queued transitions are abandoned. Then, if we have
+ * an error state (and aren't already in it), we go there, passing it the
+ * exception. Otherwise it's emitted as an 'error' event, or re-thrown if
+ * there are no listeners for that.
+ */
+FSM.prototype._handleError = function (err, state) {
+	this.fsm_lastError = err;
+	this.fsm_transitionQueue = [];
+	var errState = this.fsm_errorState;
+	if (errState === undefined || this.fsm_destroyed ||
+	    stateMatches(state, errState)) {
+		if (this.listeners('error').length < 1)
+			throw (err);
+		this.emit('error', err);
+		return;
+	}
+	/* Recovering starts a new chain of transitions. */
+	this.fsm_chain = undefined;
+	this._gotoState(errState, {
+		method: 'error',
+		message: (err instanceof Error ? err.message : String(err))
+	}, [err]);
+};
+
+/*
+ * Returns the last exception caught from a state entry function or handle
+ * callback (see _handleError()), or undefined if there hasn't been one.
+ */
+FSM.prototype.getLastError = function () {
+	return (this.fsm_lastError);
+};
+
+/*
+ * Called after the entry function of a terminal state has run: shut the FSM
+ * down (as for destroy()) and emit 'finished' once the 'stateChanged' for
+ * the terminal state has been emitted.
+ */
+FSM.prototype._finish = function (state) {
+	var live = this.fsm_transitionQueue.filter(liveTransition);
+	this.fsm_finishedState = state;
+	this.destroy();
+	this._queueEmit('finished', state);
+	/* We still finish, so as not to leave the state's handle connected. */
+	if (live.length > 0) {
+		throw (new Error('FSM ' + this.fsm_clsname + ' attempted to ' +
+		    'leave terminal state ' + state + ' towards ' +
+		    live[0].state));
+	}
+};
+
+/*
+ * Evaluate the guards (see FSM.defineGuard()) on the edge "from" => "to",
+ * given the Array of payload arguments for the transition.
+ * Returns true if the transition may go ahead. If a guard refuses it, we
+ * emit 'transitionRejected' if anyone is listening for it (and return false),
+ * or otherwise throw an Error.
+ */
+FSM.prototype._checkGuards = function (from, to, args) {
+	var gargs = [this].concat(args);
+	/* Sub-states inherit their parents' edges, and so their guards. */
+	var froms = [from].concat(mod_graph.ancestors(from));
+	var failed;
+	var proto = Object.getPrototypeOf(this);
+	for (; proto !== null && failed === undefined;
+	    proto = Object.getPrototypeOf(proto)) {
+		if (!proto.hasOwnProperty('fsm_guards'))
+			continue;
+		var guards = proto.fsm_guards;
+		for (var i = 0; i < guards.length; ++i) {
+			var g = guards[i];
+			if ((froms.indexOf(g.from) !== -1 || g.from === '*') &&
+			    g.to === to && !g.guard.apply(undefined, gargs)) {
+				failed = g.guard;
+				break;
+			}
+		}
+	}
+	if (failed === undefined)
+		return (true);
+
+	var err = new Error('FSM ' + this.fsm_clsname + ' transition ' +
+	    from + ' => ' + to + ' was refused by guard' +
+	    (failed.name ? ' ' + failed.name : ''));
+	if (this.listeners('transitionRejected').length < 1)
+		throw (err);
+	this._queueEmit('transitionRejected', {
+		from: from,
+		to: to,
+		payload: args[0],
+		args: args,
+		error: err
+	});
+	return (false);
+};
+
+/*
+ * Send an input event (with any further arguments) to the FSM, to be handled
+ * according to the table set with FSMStateHandle#inputs() in the current
+ * state (or one of its parents) of each region. If the FSM is in transition,
+ * the input is queued and handled once the transition is complete.
+ *
+ * If no current state handles the input, we emit 'unhandledEvent' and then
+ * apply the FSM's unhandledEvent policy (see the constructor).
+ */
+FSM.prototype.send = function (evt) {
+	mod_assert.string(evt, 'event');
+	if (this.fsm_destroyed)
+		throw (destroyedError(this, 'send event ' + evt));
+	var args = Array.prototype.slice.call(arguments, 1);
+	this.fsm_inputs.push({
+		event: evt,
+		args: args,
+		chain: this.fsm_chain
+	});
+	this._processInputs();
+};
+
+/*
+ * Work out where the input "evt" should go. In each region, the innermost
+ * handle which either handles or defers it decides. Returns an Object with
+ * properties:
+ *   - handles: Array of the handles which will handle it
+ *   - deferred: Boolean, true if any region defers it
+ */
+FSM.prototype._routeInput = function (evt) {
+	var regions = this.fsm_regions;
+	var ret = { handles: [], deferred: false };
+	Object.keys(regions).forEach(function (name) {
+		var h = regions[name].fsr_handle;
+		for (; h !== undefined; h = h.fsh_link) {
+			if (h.fsh_inputs !== undefined &&
+			    h.fsh_inputs.hasOwnProperty(evt)) {
+				ret.handles.push(h);
+				return;
+			}
+			if (h.fsh_defer !== undefined &&
+			    h.fsh_defer.indexOf(evt) !== -1) {
+				ret.deferred = true;
+				return;
+			}
+		}
+	});
+	return (ret);
+};
+
+/*
+ * Handle queued inputs, unless we're in transition (in which case we'll be
+ * called again at the end of it). Held inputs which can now be handled go
+ * first, as they were sent earlier. An input which no region handles is held
+ * if any region defers it, and otherwise is unhandled.
+ *
+ * Handling an input can send more (or run transitions which call us again),
+ * so only the outermost call drains the queue: this keeps inputs in order
+ * across regions, bounds the stack depth, and lets an unhandled input's
+ * exception reach whoever called send() rather than an earlier handler.
+ * That exception (the first, if there are several) is only thrown once the
+ * queue is empty, so that it doesn't strand the inputs sent after it.
+ */
+FSM.prototype._processInputs = function () {
+	if (this.fsm_draining)
+		return;
+	var saved = this.fsm_chain;
+	this.fsm_draining = true;
+	try {
+		this._drainInputs();
+	} finally {
+		this.fsm_draining = false;
+		this.fsm_chain = saved;
+	}
+};
+
+FSM.prototype._drainInputs = function () {
+	var input, route, i;
+	var failed = false;
+	var err;
+	while (!this.fsm_inTransition && !this.fsm_destroyed) {
+		input = undefined;
+		for (i = 0; i < this.fsm_heldInputs.length; ++i) {
+			route = this._routeInput(this.fsm_heldInputs[i].event);
+			if (route.handles.length > 0) {
+				input = this.fsm_heldInputs.splice(i, 1)[0];
+				break;
+			}
+		}
+		if (input === undefined) {
+			if (this.fsm_inputs.length === 0)
+				break;
+			input = this.fsm_inputs.shift();
+			route = this._routeInput(input.event);
+		}
+		/* Anything it causes continues the chain which sent it. */
+		this.fsm_chain = input.chain;
+		if (route.handles.length === 0) {
+			if (route.deferred) {
+				this.fsm_heldInputs.push(input);
+				continue;
+			}
+			try {
+				this._unhandledInput(input);
+			} catch (e) {
+				if (!failed) {
+					err = e;
+					failed = true;
+				}
+			}
+			continue;
+		}
+		/* An earlier handler may have finished the FSM. */
+		route.handles.forEach(function (h) {
+			if (h.fsh_valid && !this.fsm_destroyed)
+				h._input(input.event, input.args);
+		}, this);
+	}
+	if (failed)
+		throw (err);
+};
+
+FSM.prototype._unhandledInput = function (input) {
+	var policy = this.fsm_unhandled;
+	this._queueEmit('unhandledEvent', {
+		event: input.event,
+		args: input.args,
+		states: this.getStates(),
+		policy: (typeof (policy) === 'function' ? 'function' : policy)
+	});
+	if (typeof (policy) === 'function') {
+		policy.apply(this, [input.event].concat(input.args));
+	} else if (policy === 'queue') {
+		this.fsm_heldInputs.push(input);
+	} else if (policy === 'throw') {
+		throw (new Error('FSM ' + this.fsm_clsname + ' (' +
+		    this.fsm_id + ') received event ' + input.event +
+		    ' in state(s) ' + this.getStates().join(', ') +
+		    ', which do not handle it'));
+	}
+};
+
+/*
+ * Reset the attempt count used by FSMStateHandle#backoff() for the given key
+ * (by default, the name of the state which called backoff()), e.g. once a
+ * connection has succeeded.
+ */
+FSM.prototype.resetBackoff = function (key) {
+	mod_assert.string(key, 'key');
+	delete (this.fsm_backoff[key]);
+};
+
+/*
+ * Returns true if the FSM has entered a terminal state (after which no more
+ * transitions are possible).
+ */
+FSM.prototype.isFinished = function () {
+	return (this.fsm_finishedState !== undefined);
+};
+
+/*
+ * Mark the FSM as finished with. The handles of its current states are
+ * disconnected (running their cleanup functions), so that none of their
+ * callbacks or timers will run again, and the registered tracers are told
+ * (removing the FSM from any Registry). Any further transition throws an
+ * Error.
+ */
+FSM.prototype.destroy = function () {
+	if (this.fsm_destroyed)
+		return;
+	this.fsm_destroyed = true;
+	this.fsm_transitionQueue = [];
+	this.fsm_inputs = [];
+	this.fsm_heldInputs = [];
+	var regions = this.fsm_regions;
+	Object.keys(regions).forEach(function (name) {
+		var h = regions[name].fsr_handle;
+		if (h !== undefined)
+			h.disconnectAll();
+	});
+	this._trace('destroyFsm');
 
+	/*
+	 * Reject any outstanding waitForState() Promises, once the events
+	 * already queued (which may resolve some of them) have been emitted.
+	 * If we're finishing, the 'finished' event takes care of this.
+	 */
+	if (this.fsm_finishedState === undefined &&
+	    this.fsm_waiters.length > 0) {
+		var self = this;
+		this.fsm_scheduler.setImmediate(function () {
+			self.fsm_waiters.slice().forEach(function (w) {
+				w();
+			});
+		});
+	}
+};
+
+FSM.prototype.isDestroyed = function () {
+	return (this.fsm_destroyed);
+};
+
+/* Call the given method of every registered tracer which has one. */
+FSM.prototype._trace = function (method, from, to, elapsed) {
+	if (tracers.length === 0)
+		return;
+	var info = {
+		fsm: this,
+		className: this.fsm_clsname,
+		id: this.fsm_id
+	};
+	if (to !== undefined) {
+		info.from = from;
+		info.to = to;
+	}
+	if (method === 'transitionEnd')
+		info.elapsed = elapsed;
+	tracers.forEach(function (tracer) {
+		if (typeof (tracer[method]) === 'function')
+			tracer[method](info);
+	});
+};
+
+/*
+ * Register a function to be called synchronously with (oldState, newState)
+ * each time the FSM enters a state, before the state's entry function runs.
+ * Used by the testing helpers (see testing.js).
+ */
+FSM.prototype._addObserver = function (cb) {
+	mod_assert.func(cb, 'cb');
+	this.fsm_observers.push(cb);
+};
+
+FSM.prototype._removeObserver = function (cb) {
+	var idx = this.fsm_observers.indexOf(cb);
+	if (idx !== -1)
+		this.fsm_observers.splice(idx, 1);
+};
+
+FSM.prototype._checkAllStateEvents = function (state) {
+	var self = this;
 	this.fsm_allStateEvents.forEach(function (evt) {
 		if (self.listeners(evt).length < 1) {
 			throw (new Error('FSM consistency error: ' +
@@ -364,28 +1611,228 @@ FSM.prototype._gotoState = function (state) {
 			    evt + '"'));
 		}
 	});
+};
+
+/*
+ * Build the payload of the 'transition' event for entering the current state
+ * of region "r" (whose history record has just been created).
+ */
+FSM.prototype._transitionInfo = function (r, from, elapsed, trigger) {
+	return ({
+		from: from,
+		to: r.fsr_state,
+		timestamp: r.fsr_record.enteredAt,
+		elapsed: elapsed,
+		id: this.fsm_id,
+		className: this.fsm_clsname,
+		trigger: trigger
+	});
+};
+
+FSM.prototype._queueStateChanged = function (state, info) {
+	this._queueEmit('stateChanged', state);
+	this._queueEmit('transition', info);
+};
 
-	this.fsm_toEmit.push(state);
+/*
+ * Emit an event on the next tick, after any others which are already queued
+ * (see the explanation of 'stateChanged' in the README).
+ */
+FSM.prototype._queueEmit = function (evt, arg) {
+	var self = this;
+	this.fsm_toEmit.push([evt, arg]);
 	if (this.fsm_toEmit.length === 1) {
-		setImmediate(function () {
-			var ss = self.fsm_toEmit;
+		this.fsm_scheduler.setImmediate(function () {
+			var es = self.fsm_toEmit;
 			self.fsm_toEmit = [];
-			ss.forEach(function (s) {
-				self.emit('stateChanged', s);
+			es.forEach(function (e) {
+				self.emit(e[0], e[1]);
 			});
 		});
 	}
+};
 
-	if (dt !== undefined) {
-		dt.end.fire(function () {
-			return ([self.fsm_clsname, self.fsm_id,
-			    oldState, state]);
-		});
+var SNAPSHOT_VERSION = 1;
+
+/*
+ * Returns a snapshot of the FSM's current state(s) and history, along with
+ * an optional user-provided context object, as a plain Object which can be
+ * serialised with JSON.stringify(). Passing it as the "restore" option to
+ * the constructor later restores the FSM into the same state.
+ *
+ * A destroyed (or finished) FSM can't be snapshotted, since it could only be
+ * restored as a live FSM.
+ */
+FSM.prototype.snapshot = function (context) {
+	if (this.fsm_destroyed)
+		throw (destroyedError(this, 'take a snapshot'));
+	if (this.fsm_inTransition) {
+		throw (new Error('FSM cannot be snapshotted while in ' +
+		    'transition'));
+	}
+	function isoDate(d) {
+		return (d === undefined ? undefined : d.toISOString());
+	}
+	return ({
+		version: SNAPSHOT_VERSION,
+		className: this.fsm_clsname,
+		id: this.fsm_id,
+		states: this.getStates(),
+		history: this.fsm_history.map(function (r) {
+			return ({
+				state: r.state,
+				previous: r.previous,
+				enteredAt: isoDate(r.enteredAt),
+				exitedAt: isoDate(r.exitedAt),
+				duration: r.duration,
+				exitCause: r.exitCause
+			});
+		}),
+		context: context
+	});
+};
+
+/*
+ * Restore the FSM from a snapshot, in place of entering the initial state.
+ *
+ * Rather than running the state entry functions again (which would repeat
+ * the actions they take), each state is re-entered by calling its
+ * "reenter_X" function with a new handle, so that it can set up its
+ * listeners and timers again. For a sub-state, the reenter functions of its
+ * parents are run first (those which exist), each with its own handle in the
+ * chain, exactly as if the states had been entered one after another.
+ */
+FSM.prototype._restore = function (snap) {
+	var self = this;
+
+	if (snap.version !== SNAPSHOT_VERSION) {
+		throw (new Error('FSM snapshot has unsupported version ' +
+		    snap.version));
+	}
+	mod_assert.string(snap.className, 'snapshot.className');
+	mod_assert.arrayOfString(snap.states, 'snapshot.states');
+	mod_assert.arrayOfObject(snap.history, 'snapshot.history');
+	if (snap.className !== this.fsm_clsname) {
+		throw (new Error('FSM snapshot of a ' + snap.className +
+		    ' cannot be restored into a ' + this.fsm_clsname));
+	}
+	var names = Object.keys(this.fsm_regions);
+	if (snap.states.length !== names.length) {
+		throw (new Error('FSM snapshot has ' + snap.states.length +
+		    ' region states, but ' + this.fsm_clsname + ' has ' +
+		    names.length + ' regions'));
+	}
+
+	function toDate(d) {
+		return (d === undefined ? undefined : new Date(d));
 	}
+	this.fsm_history = snap.history.map(function (r) {
+		return ({
+			state: r.state,
+			previous: r.previous,
+			enteredAt: toDate(r.enteredAt),
+			exitedAt: toDate(r.exitedAt),
+			duration: r.duration,
+			exitCause: r.exitCause
+		});
+	});
+	while (this.fsm_history.length > this.fsm_historyDepth)
+		this.fsm_history.shift();
 
-	var next = this.fsm_nextState;
-	if (next !== undefined) {
-		this.fsm_nextState = undefined;
-		this._gotoState(next);
+	this.fsm_inTransition = true;
+	snap.states.forEach(function (state, i) {
+		var r = self.fsm_regions[names[i]];
+		if (regionOf(state) !== r.fsr_name) {
+			throw (new Error('FSM snapshot state ' + state +
+			    ' is not in region ' + r.fsr_name));
+		}
+		if (mod_graph.lookupState(self, state) === undefined)
+			throw (new Error('Unknown FSM state: ' + state));
+		if (self.fsm_terminal.indexOf(state) !== -1) {
+			throw (new Error('FSM snapshot state ' + state +
+			    ' is a terminal state'));
+		}
+		var rf = mod_graph.lookupHook(self, 'reenter_', state);
+		if (rf === undefined) {
+			throw (new Error('FSM ' + self.fsm_clsname + ' has ' +
+			    'no re-entry function for state ' + state));
+		}
+
+		r.fsr_state = state;
+		if (r.fsr_name === '')
+			self.fsm_state = state;
+		r.fsr_record = undefined;
+		self.fsm_history.forEach(function (rec) {
+			if (rec.state === state && rec.exitedAt === undefined)
+				r.fsr_record = rec;
+		});
+		if (r.fsr_record === undefined) {
+			r.fsr_record = {
+				state: state,
+				previous: undefined,
+				enteredAt: new Date(self.fsm_scheduler.now()),
+				exitedAt: undefined,
+				duration: undefined,
+				exitCause: undefined
+			};
+		}
+
+		/* This is traced as for entering the initial state. */
+		self._trace('transitionStart', undefined, state);
+		mod_graph.ancestors(state).reverse().concat([state]).forEach(
+		    function (s) {
+			var f = mod_graph.lookupHook(self, 'reenter_', s);
+			if (f === undefined)
+				return;
+			r.fsr_handle = new FSMStateHandle(self, s,
+			    r.fsr_handle);
+			f.call(self, r.fsr_handle);
+		});
+		self._trace('transitionEnd', undefined, state, undefined);
+	});
+	this.fsm_inTransition = false;
+
+	snap.states.forEach(function (state, i) {
+		var r = self.fsm_regions[names[i]];
+		self._checkAllStateEvents(state);
+		self._queueStateChanged(state, self._transitionInfo(r,
+		    undefined, undefined, { method: 'restore' }));
+	});
+	this._runTransitions();
+};
+
+/*
+ * Handle an exception which happened while cleaning up "state" (i.e. in one
+ * of its handle's cleanup functions) as for any other (see _handleError()).
+ * This is done on the next tick, so that the transition which triggered the
+ * cleanup is able to complete.
+ */
+FSM.prototype._deferError = function (err, state) {
+	var self = this;
+	this.fsm_scheduler.setImmediate(function () {
+		self._handleError(err, state);
+	});
+};
+
+FSM.prototype._recordHistory = function (r, state, cause) {
+	var now = new Date(this.fsm_scheduler.now());
+	var prev = r.fsr_record;
+	if (prev !== undefined) {
+		prev.exitedAt = now;
+		prev.duration = now.getTime() - prev.enteredAt.getTime();
+		prev.exitCause = cause;
+	}
+	r.fsr_record = {
+		state: state,
+		previous: (prev === undefined ? undefined : prev.state),
+		enteredAt: now,
+		exitedAt: undefined,
+		duration: undefined,
+		exitCause: undefined
+	};
+	if (this.fsm_historyDepth > 0) {
+		this.fsm_history.push(r.fsr_record);
+		if (this.fsm_history.length > this.fsm_historyDepth)
+			this.fsm_history.shift();
 	}
 };
@@ -0,0 +1,295 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * graph.js: static state-graph declarations for FSM subclasses.
+ *
+ * A graph declaration lists every state (and sub-state) of an FSM class,
+ * the states each one may transition to, the initial state and any terminal
+ * states (which are allowed to have no exits). The declaration is checked
+ * against the state_X functions found on the class prototype, so that a
+ * typo'd transition target or a forgotten state function is reported when
+ * the first instance is constructed (or by an offline call to validate())
+ * rather than when the bad edge is eventually taken.
+ *
+ * For classes without a declaration, infer() builds an approximate graph
+ * from the source of the state functions (used by the diagram exporter).
+ */
+
+var mod_assert = require('assert-plus');
+
+module.exports = {
+	normalise: normalise,
+	infer: infer,
+	stateFunctions: stateFunctions,
+	lookupState: lookupState,
+	lookupHook: lookupHook,
+	validate: validate,
+	edgeAllowed: edgeAllowed,
+	ancestors: ancestors
+};
+
+/*
+ * Check the shape of a user-provided graph declaration and return a copy of
+ * it which we own (so later changes by the caller can't affect us).
+ */
+function normalise(graph) {
+	mod_assert.object(graph, 'graph');
+	mod_assert.string(graph.initial, 'graph.initial');
+	mod_assert.object(graph.states, 'graph.states');
+	mod_assert.optionalArrayOfString(graph.terminal, 'graph.terminal');
+	mod_assert.optionalObject(graph.regions, 'graph.regions');
+
+	var states = {};
+	Object.keys(graph.states).forEach(function (s) {
+		mod_assert.arrayOfString(graph.states[s],
+		    'graph.states["' + s + '"]');
+		states[s] = graph.states[s].slice();
+	});
+
+	var regions = {};
+	Object.keys(graph.regions || {}).forEach(function (r) {
+		mod_assert.string(graph.regions[r],
+		    'graph.regions["' + r + '"]');
+		regions[r] = graph.regions[r];
+	});
+
+	return ({
+		initial: graph.initial,
+		states: states,
+		terminal: (graph.terminal || []).slice(),
+		regions: regions
+	});
+}
+
+/*
+ * Build a best-effort graph for a class which has no declaration, by reading
+ * the source of its state functions and looking for validTransitions(),
+ * gotoState(), gotoStateOn() and gotoStateTimeout() calls with literal state
+ * names. The initial state is taken from the "FSM.call(this, 'state')" in the
+ * constructor, if there is one.
+ *
+ * The state is the last argument to gotoStateOn(), but gotoStateTimeout() may
+ * have arguments for the new state after it, so there we take the argument
+ * after the timeout (which may contain one level of parentheses).
+ */
+var INFER_RES = [
+	/gotoState\(\s*(['"])([^'"]+)\1/g,
+	/gotoStateOn\([^;]*?(['"])([^'"]+)\1\s*\)/g,
+	/gotoStateTimeout\(\s*(?:[^,;()]|\([^()]*\))+,\s*(['"])([^'"]+)\1/g
+];
+var INFER_VALID_RE = /validTransitions\(\s*\[([^\]]*)\]/g;
+var INFER_LITERAL_RE = /(['"])([^'"]+)\1/g;
+var INFER_INITIAL_RE = /\.call\(\s*this\s*,\s*(['"])([^'"]+)\1/;
+
+function infer(klass) {
+	var proto = klass.prototype;
+	var states = {};
+
+	function add(s, e) {
+		if (states[s].indexOf(e) === -1)
+			states[s].push(e);
+	}
+
+	stateFunctions(proto).forEach(function (s) {
+		var src = lookupState(proto, s).toString();
+		var m;
+		states[s] = [];
+		INFER_RES.forEach(function (re) {
+			re.lastIndex = 0;
+			while ((m = re.exec(src)) !== null)
+				add(s, m[2]);
+		});
+		INFER_VALID_RE.lastIndex = 0;
+		while ((m = INFER_VALID_RE.exec(src)) !== null) {
+			var lm;
+			INFER_LITERAL_RE.lastIndex = 0;
+			while ((lm = INFER_LITERAL_RE.exec(m[1])) !== null)
+				add(s, lm[2]);
+		}
+	});
+
+	var im = INFER_INITIAL_RE.exec(klass.toString());
+	return ({
+		initial: (im === null ? undefined : im[2]),
+		states: states,
+		terminal: [],
+		regions: {}
+	});
+}
+
+/*
+ * Returns the entry function for the given (possibly sub-) state on "obj",
+ * or undefined if there isn't one.
+ */
+function lookupState(obj, state) {
+	var parts = state.split('.');
+	var f = obj['state_' + parts[0]];
+	for (var i = 1; i < parts.length && typeof (f) === 'function'; ++i)
+		f = f[parts[i]];
+	if (typeof (f) !== 'function')
+		return (undefined);
+	return (f);
+}
+
+/*
+ * Returns the hook function with the given prefix (e.g. 'exit_' for exit
+ * functions) for a (possibly sub-) state on "obj", or undefined if there
+ * isn't one. Hooks nest like state functions, except that a parent which has
+ * no hook of its own may be a plain Object holding those of its sub-states.
+ */
+function lookupHook(obj, prefix, state) {
+	var parts = state.split('.');
+	var f = obj[prefix + parts[0]];
+	for (var i = 1; i < parts.length && f !== undefined && f !== null; ++i)
+		f = f[parts[i]];
+	if (typeof (f) !== 'function')
+		return (undefined);
+	return (f);
+}
+
+/*
+ * Enumerate the names of all states (and sub-states, to any depth) which
+ * have entry functions on the given prototype.
+ */
+function stateFunctions(proto) {
+	var names = [];
+	function walk(name, f) {
+		names.push(name);
+		Object.keys(f).forEach(function (k) {
+			if (typeof (f[k]) === 'function')
+				walk(name + '.' + k, f[k]);
+		});
+	}
+	for (var k in proto) {
+		if (k.indexOf('state_') === 0 &&
+		    typeof (proto[k]) === 'function') {
+			walk(k.slice('state_'.length), proto[k]);
+		}
+	}
+	return (names);
+}
+
+/* Returns the list of strict ancestors of a state, innermost first. */
+function ancestors(state) {
+	var parts = state.split('.');
+	var ret = [];
+	for (var i = parts.length - 1; i > 0; --i)
+		ret.push(parts.slice(0, i).join('.'));
+	return (ret);
+}
+
+/*
+ * All of the transitions which can be made from "state", including those
+ * inherited from its parent states (whose handles remain connected while we
+ * are in a sub-state).
+ */
+function exits(graph, state) {
+	var ret = [];
+	[state].concat(ancestors(state)).forEach(function (s) {
+		var es = graph.states[s];
+		if (es === undefined)
+			return;
+		es.forEach(function (e) {
+			if (ret.indexOf(e) === -1)
+				ret.push(e);
+		});
+	});
+	return (ret);
+}
+
+function edgeAllowed(graph, from, to) {
+	return (exits(graph, from).indexOf(to) !== -1);
+}
+
+/*
+ * Check a graph declaration against the state functions on "proto". Returns
+ * an Array of Strings, each describing one problem (empty if the graph is
+ * valid).
+ */
+function validate(proto, graph) {
+	var problems = [];
+	var declared = Object.keys(graph.states);
+	var funcs = stateFunctions(proto);
+
+	var initials = [graph.initial];
+	if (graph.states[graph.initial] === undefined) {
+		problems.push('initial state "' + graph.initial + '" is not ' +
+		    'declared');
+	}
+	Object.keys(graph.regions).forEach(function (r) {
+		var s = graph.regions[r];
+		if (graph.states[s] === undefined) {
+			problems.push('initial state "' + s + '" of region "' +
+			    r + '" is not declared');
+		}
+		initials.push(s);
+	});
+
+	graph.terminal.forEach(function (s) {
+		if (graph.states[s] === undefined) {
+			problems.push('terminal state "' + s + '" is not ' +
+			    'declared');
+		}
+	});
+
+	declared.forEach(function (s) {
+		if (funcs.indexOf(s) === -1) {
+			problems.push('state "' + s + '" has no entry ' +
+			    'function');
+		}
+		graph.states[s].forEach(function (e) {
+			if (graph.states[e] === undefined) {
+				problems.push('edge "' + s + '" => "' + e +
+				    '" leads to an undeclared state');
+			}
+		});
+		if (exits(graph, s).length === 0 &&
+		    graph.terminal.indexOf(s) === -1) {
+			problems.push('state "' + s + '" has no exits and ' +
+			    'is not terminal');
+		}
+	});
+
+	funcs.forEach(function (s) {
+		if (graph.states[s] === undefined) {
+			problems.push('entry function for state "' + s +
+			    '" exists but the state is not declared');
+		}
+	});
+
+	initials = initials.filter(function (s) {
+		return (graph.states[s] !== undefined);
+	});
+	if (initials.length > 0) {
+		var seen = {};
+		var queue = initials.slice();
+		initials.forEach(function (s) {
+			seen[s] = true;
+		});
+		while (queue.length > 0) {
+			exits(graph, queue.shift()).forEach(function (e) {
+				if (seen[e] || graph.states[e] === undefined)
+					return;
+				seen[e] = true;
+				queue.push(e);
+			});
+		}
+		declared.forEach(function (s) {
+			if (!seen[s]) {
+				problems.push('state "' + s + '" is ' +
+				    'unreachable from initial state "' +
+				    initials.join('", "') + '"');
+			}
+		});
+	}
+
+	return (problems);
+}
@@ -5,11 +5,26 @@
  */
 
 /*
- * Copyright (c) 2016, Joyent, Inc.
+ * Copyright (c) 2026, Joyent, Inc.
  */
 
 var FSM = require('./fsm');
+var mod_diagram = require('./diagram');
+var mod_metrics = require('./metrics');
+var mod_registry = require('./registry');
+var mod_scheduler = require('./scheduler');
+var mod_testing = require('./testing');
+var mod_tracers = require('./tracers');
 
 module.exports = {
-	FSM: FSM
+	FSM: FSM,
+	Metrics: mod_metrics.Metrics,
+	Registry: mod_registry.Registry,
+	VirtualScheduler: mod_scheduler.VirtualScheduler,
+	TransitionRecorder: mod_testing.TransitionRecorder,
+	DTraceTracer: mod_tracers.DTraceTracer,
+	DiagnosticsChannelTracer: mod_tracers.DiagnosticsChannelTracer,
+	LoggerTracer: mod_tracers.LoggerTracer,
+	toDot: mod_diagram.toDot,
+	toMermaid: mod_diagram.toMermaid
 };
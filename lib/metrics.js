@@ -0,0 +1,282 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * metrics.js: metrics collection for FSMs.
+ *
+ * A Metrics object is a tracer (see tracers.js) which, once registered with
+ * FSM.addTracer(), keeps:
+ *
+ *   - a gauge of the number of instances of each class in each state
+ *   - a counter of the transitions taken along each edge of each class
+ *   - a histogram of the time spent in each state of each class, observed
+ *     as each state is left
+ *
+ * These can be read out in the Prometheus text exposition format, or as a
+ * plain Object (e.g. for a JSON status endpoint).
+ *
+ * Instances are counted in their current (leaf) state, e.g. an FSM in
+ * "connected.idle" counts towards that state and not "connected". An FSM
+ * stops being counted when it is destroyed or garbage collected.
+ */
+
+var mod_assert = require('assert-plus');
+
+module.exports = {
+	Metrics: Metrics
+};
+
+/* Histogram buckets, in seconds. */
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+    10, 30, 60, 300, 600, 1800, 3600];
+
+/*
+ * The optional "options" argument is an Object, which may contain:
+ *   - prefix: String, prefix for the Prometheus metric names (default
+ *             "mooremachine")
+ *   - buckets: Array of Number, upper bounds of the histogram buckets in
+ *              seconds, in increasing order (default DEFAULT_BUCKETS)
+ */
+function Metrics(options) {
+	mod_assert.optionalObject(options, 'options');
+	if (options === undefined)
+		options = {};
+	mod_assert.optionalString(options.prefix, 'options.prefix');
+	mod_assert.optionalArrayOfNumber(options.buckets, 'options.buckets');
+
+	this.mt_prefix = (options.prefix === undefined ? 'mooremachine' :
+	    options.prefix);
+	this.mt_buckets = (options.buckets === undefined ? DEFAULT_BUCKETS :
+	    options.buckets).slice();
+	for (var i = 1; i < this.mt_buckets.length; ++i) {
+		if (this.mt_buckets[i] <= this.mt_buckets[i - 1]) {
+			throw (new Error('Metrics histogram buckets must be ' +
+			    'in increasing order'));
+		}
+	}
+
+	/* class => state => Number */
+	this.mt_instances = {};
+	/* class => from => to => Number */
+	this.mt_transitions = {};
+	/* class => state => { counts: [Number], sum: Number, count: Number } */
+	this.mt_durations = {};
+
+	/*
+	 * The states we have counted each FSM in, so that they can be
+	 * uncounted when it goes away.
+	 */
+	this.mt_fsms = new WeakMap();
+	var self = this;
+	this.mt_finaliser = undefined;
+	if (typeof (FinalizationRegistry) === 'function') {
+		this.mt_finaliser = new FinalizationRegistry(function (rec) {
+			self._uncount(rec);
+		});
+	}
+}
+
+Metrics.prototype._record = function (info) {
+	var rec = this.mt_fsms.get(info.fsm);
+	if (rec === undefined) {
+		rec = { className: info.className, states: [] };
+		this.mt_fsms.set(info.fsm, rec);
+		if (this.mt_finaliser !== undefined)
+			this.mt_finaliser.register(info.fsm, rec, rec);
+	}
+	return (rec);
+};
+
+Metrics.prototype._uncount = function (rec) {
+	var counts = this.mt_instances[rec.className];
+	rec.states.forEach(function (s) {
+		counts[s]--;
+	});
+	rec.states = [];
+};
+
+Metrics.prototype.createFsm = function (info) {
+	this._record(info);
+};
+
+Metrics.prototype.destroyFsm = function (info) {
+	var rec = this.mt_fsms.get(info.fsm);
+	if (rec === undefined)
+		return;
+	this._uncount(rec);
+	this.mt_fsms.delete(info.fsm);
+	if (this.mt_finaliser !== undefined)
+		this.mt_finaliser.unregister(rec);
+};
+
+Metrics.prototype.transitionEnd = function (info) {
+	var cls = info.className;
+	var rec = this._record(info);
+
+	var counts = this.mt_instances[cls];
+	if (counts === undefined)
+		counts = this.mt_instances[cls] = {};
+	/*
+	 * We may not have seen the FSM enter its old state, if it was created
+	 * before we were registered as a tracer.
+	 */
+	var idx = rec.states.indexOf(info.from);
+	if (info.from !== undefined && idx !== -1) {
+		counts[info.from]--;
+		rec.states.splice(idx, 1);
+	}
+	counts[info.to] = (counts[info.to] || 0) + 1;
+	rec.states.push(info.to);
+
+	var from = (info.from === undefined ? '' : info.from);
+	var edges = this.mt_transitions[cls];
+	if (edges === undefined)
+		edges = this.mt_transitions[cls] = {};
+	if (edges[from] === undefined)
+		edges[from] = {};
+	edges[from][info.to] = (edges[from][info.to] || 0) + 1;
+
+	if (info.from !== undefined && info.elapsed !== undefined)
+		this._observe(cls, info.from, info.elapsed / 1000);
+};
+
+Metrics.prototype._observe = function (cls, state, secs) {
+	var hists = this.mt_durations[cls];
+	if (hists === undefined)
+		hists = this.mt_durations[cls] = {};
+	var h = hists[state];
+	if (h === undefined) {
+		h = hists[state] = {
+			counts: this.mt_buckets.map(function () {
+				return (0);
+			}),
+			sum: 0,
+			count: 0
+		};
+	}
+	for (var i = 0; i < this.mt_buckets.length; ++i) {
+		if (secs <= this.mt_buckets[i])
+			h.counts[i]++;
+	}
+	h.sum += secs;
+	h.count++;
+};
+
+/*
+ * Returns the metrics as a plain Object, with properties:
+ *   - instances: Array of { className, state, value }
+ *   - transitions: Array of { className, from, to, value }, where "from" is
+ *                  undefined for the initial state
+ *   - durations: Array of { className, state, count, sum, buckets }, where
+ *                "sum" is in seconds and "buckets" is an Array of
+ *                { le, count } (cumulative, as in Prometheus)
+ * Each Array is sorted by class name and then state name.
+ */
+Metrics.prototype.toObject = function () {
+	var self = this;
+	var ret = { instances: [], transitions: [], durations: [] };
+
+	forEachSorted(this.mt_instances, function (cls, states) {
+		forEachSorted(states, function (state, value) {
+			ret.instances.push({
+				className: cls,
+				state: state,
+				value: value
+			});
+		});
+	});
+	forEachSorted(this.mt_transitions, function (cls, froms) {
+		forEachSorted(froms, function (from, tos) {
+			forEachSorted(tos, function (to, value) {
+				ret.transitions.push({
+					className: cls,
+					from: (from === '' ? undefined : from),
+					to: to,
+					value: value
+				});
+			});
+		});
+	});
+	forEachSorted(this.mt_durations, function (cls, states) {
+		forEachSorted(states, function (state, h) {
+			ret.durations.push({
+				className: cls,
+				state: state,
+				count: h.count,
+				sum: h.sum,
+				buckets: self.mt_buckets.map(function (le, i) {
+					return ({ le: le, count: h.counts[i] });
+				})
+			});
+		});
+	});
+	return (ret);
+};
+
+/* Returns the metrics in the Prometheus text exposition format. */
+Metrics.prototype.toPrometheus = function () {
+	var obj = this.toObject();
+	var p = this.mt_prefix;
+	var lines = [];
+
+	lines.push('# HELP ' + p + '_fsm_instances Number of live FSM ' +
+	    'instances in each state.');
+	lines.push('# TYPE ' + p + '_fsm_instances gauge');
+	obj.instances.forEach(function (m) {
+		lines.push(p + '_fsm_instances' + labels({
+			'class': m.className,
+			state: m.state
+		}) + ' ' + m.value);
+	});
+
+	lines.push('# HELP ' + p + '_fsm_transitions_total Number of FSM ' +
+	    'transitions taken along each edge.');
+	lines.push('# TYPE ' + p + '_fsm_transitions_total counter');
+	obj.transitions.forEach(function (m) {
+		lines.push(p + '_fsm_transitions_total' + labels({
+			'class': m.className,
+			from: (m.from === undefined ? '' : m.from),
+			to: m.to
+		}) + ' ' + m.value);
+	});
+
+	var name = p + '_fsm_state_duration_seconds';
+	lines.push('# HELP ' + name + ' Time spent in each FSM state.');
+	lines.push('# TYPE ' + name + ' histogram');
+	obj.durations.forEach(function (m) {
+		var ls = { 'class': m.className, state: m.state };
+		m.buckets.forEach(function (b) {
+			ls.le = String(b.le);
+			lines.push(name + '_bucket' + labels(ls) + ' ' +
+			    b.count);
+		});
+		ls.le = '+Inf';
+		lines.push(name + '_bucket' + labels(ls) + ' ' + m.count);
+		delete (ls.le);
+		lines.push(name + '_sum' + labels(ls) + ' ' + m.sum);
+		lines.push(name + '_count' + labels(ls) + ' ' + m.count);
+	});
+
+	return (lines.join('\n') + '\n');
+};
+
+function forEachSorted(obj, cb) {
+	Object.keys(obj).sort().forEach(function (k) {
+		cb(k, obj[k]);
+	});
+}
+
+function labels(obj) {
+	return ('{' + Object.keys(obj).map(function (k) {
+		var v = obj[k].replace(/\\/g, '\\\\').replace(/"/g, '\\"').
+		    replace(/\n/g, '\\n');
+		return (k + '="' + v + '"');
+	}).join(',') + '}');
+}
@@ -0,0 +1,163 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * registry.js: tracking of live FSM instances, for introspection.
+ *
+ * A Registry is a tracer (see tracers.js): once registered with
+ * FSM.addTracer(), it records every FSM constructed from then on, until the
+ * FSM is destroyed with FSM#destroy() or garbage collected. Instances are
+ * only held through WeakRefs, so the registry never keeps an FSM alive.
+ *
+ * This lets a program ask questions like "how many ConnectionFSMs are in
+ * state 'connecting', and for how long have they been there?" when chasing
+ * down a leak.
+ */
+
+var mod_assert = require('assert-plus');
+
+module.exports = {
+	Registry: Registry
+};
+
+function Registry() {
+	if (typeof (WeakRef) !== 'function' ||
+	    typeof (FinalizationRegistry) !== 'function') {
+		throw (new Error('The FSM registry requires WeakRef and ' +
+		    'FinalizationRegistry support'));
+	}
+	var self = this;
+	this.reg_fsms = {};
+	this.reg_finaliser = new FinalizationRegistry(function (id) {
+		var ent = self.reg_fsms[id];
+		if (ent !== undefined && ent.deref() === undefined)
+			delete (self.reg_fsms[id]);
+	});
+}
+
+Registry.prototype.createFsm = function (info) {
+	this.reg_fsms[info.id] = new WeakRef(info.fsm);
+	this.reg_finaliser.register(info.fsm, info.id, info.fsm);
+};
+
+Registry.prototype.destroyFsm = function (info) {
+	delete (this.reg_fsms[info.id]);
+	this.reg_finaliser.unregister(info.fsm);
+};
+
+/*
+ * Returns the FSM for an entry, or undefined if it has been collected or
+ * destroyed (we may not have heard about the latter if we were removed as a
+ * tracer in the meantime).
+ */
+Registry.prototype._deref = function (id) {
+	var fsm = this.reg_fsms[id].deref();
+	if (fsm === undefined || fsm.isDestroyed()) {
+		delete (this.reg_fsms[id]);
+		return (undefined);
+	}
+	return (fsm);
+};
+
+/* Returns the live FSM with the given id, or undefined. */
+Registry.prototype.get = function (id) {
+	mod_assert.string(id, 'id');
+	if (this.reg_fsms[id] === undefined)
+		return (undefined);
+	return (this._deref(id));
+};
+
+/*
+ * Returns an Array of the live FSMs which match "filter", an optional Object
+ * with properties:
+ *   - className: String, only return FSMs of this class
+ *   - state: String, only return FSMs in this state (or one of its
+ *            sub-states, as with FSM#isInState())
+ */
+Registry.prototype.find = function (filter) {
+	mod_assert.optionalObject(filter, 'filter');
+	if (filter === undefined)
+		filter = {};
+	mod_assert.optionalString(filter.className, 'filter.className');
+	mod_assert.optionalString(filter.state, 'filter.state');
+
+	function inState(s) {
+		return (s !== undefined && (s === filter.state ||
+		    s.indexOf(filter.state + '.') === 0));
+	}
+
+	var self = this;
+	var ret = [];
+	Object.keys(this.reg_fsms).forEach(function (id) {
+		var fsm = self._deref(id);
+		if (fsm === undefined)
+			return;
+		if (filter.className !== undefined &&
+		    fsm.fsm_clsname !== filter.className) {
+			return;
+		}
+		if (filter.state !== undefined &&
+		    !fsm.getStates().some(inState)) {
+			return;
+		}
+		ret.push(fsm);
+	});
+	return (ret);
+};
+
+/* Returns the number of live FSMs which match "filter" (as for find()). */
+Registry.prototype.count = function (filter) {
+	return (this.find(filter).length);
+};
+
+/*
+ * Summarise the live FSMs which match "filter" (as for find()). Returns an
+ * Object keyed by class name, each value having properties:
+ *   - count: Number of live instances of the class
+ *   - states: Object keyed by state name (the current state of each region
+ *             is counted separately), with properties:
+ *       - count: Number of instances in the state
+ *       - minDwell, maxDwell, meanDwell: Numbers, the shortest, longest and
+ *         average time (in ms) the instances have spent in the state so far
+ */
+Registry.prototype.summary = function (filter) {
+	var ret = {};
+	this.find(filter).forEach(function (fsm) {
+		var cls = ret[fsm.fsm_clsname];
+		if (cls === undefined) {
+			cls = ret[fsm.fsm_clsname] = { count: 0, states: {} };
+		}
+		cls.count++;
+
+		var now = fsm.fsm_scheduler.now();
+		var regions = fsm.fsm_regions;
+		Object.keys(regions).forEach(function (name) {
+			var r = regions[name];
+			if (r.fsr_record === undefined)
+				return;
+			var dwell = now - r.fsr_record.enteredAt.getTime();
+			var st = cls.states[r.fsr_state];
+			if (st === undefined) {
+				st = cls.states[r.fsr_state] = {
+					count: 0,
+					minDwell: dwell,
+					maxDwell: dwell,
+					meanDwell: 0
+				};
+			}
+			st.meanDwell = (st.meanDwell * st.count + dwell) /
+			    (st.count + 1);
+			st.count++;
+			st.minDwell = Math.min(st.minDwell, dwell);
+			st.maxDwell = Math.max(st.maxDwell, dwell);
+		});
+	});
+	return (ret);
+};
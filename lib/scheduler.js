@@ -0,0 +1,172 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * scheduler.js: timer schedulers for FSMs.
+ *
+ * All of the timers an FSM uses (those set up through its state handles, and
+ * the deferred emission of 'stateChanged') go through a scheduler object,
+ * which has the same setTimeout/clearTimeout, setInterval/clearInterval and
+ * setImmediate/clearImmediate methods as node's globals, plus a now() method
+ * returning the current time in milliseconds.
+ *
+ * The default scheduler just uses the real globals. VirtualScheduler keeps
+ * its own virtual clock, which only moves when a test calls advance(), so
+ * that FSMs with long timeouts can be tested quickly and deterministically.
+ */
+
+var mod_assert = require('assert-plus');
+
+module.exports = {
+	realScheduler: {
+		setTimeout: function (cb, ms) {
+			return (setTimeout(cb, ms));
+		},
+		clearTimeout: function (timer) {
+			clearTimeout(timer);
+		},
+		setInterval: function (cb, ms) {
+			return (setInterval(cb, ms));
+		},
+		clearInterval: function (timer) {
+			clearInterval(timer);
+		},
+		setImmediate: function (cb) {
+			return (setImmediate(cb));
+		},
+		clearImmediate: function (timer) {
+			clearImmediate(timer);
+		},
+		now: function () {
+			return (Date.now());
+		}
+	},
+	VirtualScheduler: VirtualScheduler
+};
+
+/*
+ * A scheduler with a virtual clock, starting at "start" milliseconds (default
+ * 0). Timers and immediates only run from within advance() and
+ * runImmediates(), in order of their due time (and of creation, for those due
+ * at the same time). A timer which has been cleared never runs.
+ */
+function VirtualScheduler(start) {
+	mod_assert.optionalNumber(start, 'start');
+	this.vs_now = (start === undefined ? 0 : start);
+	this.vs_seq = 0;
+	this.vs_timers = [];
+	this.vs_immediates = [];
+}
+
+VirtualScheduler.prototype.now = function () {
+	return (this.vs_now);
+};
+
+VirtualScheduler.prototype._addTimer = function (cb, ms, repeat) {
+	mod_assert.func(cb, 'cb');
+	mod_assert.number(ms, 'ms');
+	var timer = {
+		vt_cb: cb,
+		vt_when: this.vs_now + Math.max(ms, 1),
+		vt_interval: (repeat ? Math.max(ms, 1) : undefined),
+		vt_seq: this.vs_seq++
+	};
+	this.vs_timers.push(timer);
+	return (timer);
+};
+
+VirtualScheduler.prototype._removeTimer = function (timer) {
+	var idx = this.vs_timers.indexOf(timer);
+	if (idx !== -1)
+		this.vs_timers.splice(idx, 1);
+};
+
+VirtualScheduler.prototype.setTimeout = function (cb, ms) {
+	return (this._addTimer(cb, ms, false));
+};
+
+VirtualScheduler.prototype.clearTimeout = function (timer) {
+	this._removeTimer(timer);
+};
+
+VirtualScheduler.prototype.setInterval = function (cb, ms) {
+	return (this._addTimer(cb, ms, true));
+};
+
+VirtualScheduler.prototype.clearInterval = function (timer) {
+	this._removeTimer(timer);
+};
+
+VirtualScheduler.prototype.setImmediate = function (cb) {
+	mod_assert.func(cb, 'cb');
+	var imm = { vi_cb: cb };
+	this.vs_immediates.push(imm);
+	return (imm);
+};
+
+VirtualScheduler.prototype.clearImmediate = function (imm) {
+	var idx = this.vs_immediates.indexOf(imm);
+	if (idx !== -1)
+		this.vs_immediates.splice(idx, 1);
+};
+
+/* Returns the number of timers and immediates waiting to run. */
+VirtualScheduler.prototype.pending = function () {
+	return (this.vs_timers.length + this.vs_immediates.length);
+};
+
+/*
+ * Run all queued immediates, including any which are queued by those that
+ * run.
+ */
+VirtualScheduler.prototype.runImmediates = function () {
+	while (this.vs_immediates.length > 0) {
+		var imm = this.vs_immediates.shift();
+		imm.vi_cb();
+	}
+};
+
+/*
+ * Move the virtual clock forwards by "ms" milliseconds, running each timer
+ * which falls due along the way (and the immediates queued before or by it).
+ */
+VirtualScheduler.prototype.advance = function (ms) {
+	mod_assert.number(ms, 'ms');
+	var target = this.vs_now + ms;
+
+	this.runImmediates();
+	for (;;) {
+		var next;
+		this.vs_timers.forEach(function (timer) {
+			if (timer.vt_when > target)
+				return;
+			if (next === undefined ||
+			    timer.vt_when < next.vt_when ||
+			    (timer.vt_when === next.vt_when &&
+			    timer.vt_seq < next.vt_seq)) {
+				next = timer;
+			}
+		});
+		if (next === undefined)
+			break;
+
+		this.vs_now = next.vt_when;
+		if (next.vt_interval !== undefined) {
+			next.vt_when += next.vt_interval;
+			next.vt_seq = this.vs_seq++;
+		} else {
+			this._removeTimer(next);
+		}
+		next.vt_cb();
+		next = undefined;
+		this.runImmediates();
+	}
+	this.vs_now = target;
+};
@@ -0,0 +1,140 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * testing.js: helpers for writing tests against FSMs.
+ *
+ * A TransitionRecorder attaches to an FSM and synchronously records every
+ * state it enters from then on. Unlike listening for 'stateChanged', this
+ * sees each state as it is entered (including those passed through by a
+ * chain of immediate transitions, which 'stateChanged' only reports on the
+ * next tick), so a test can check the path an FSM took straight after
+ * poking it.
+ *
+ * The assert* methods take a tape test object ("t") and report through it,
+ * so they can be mixed freely with tape's own assertions.
+ */
+
+var mod_assert = require('assert-plus');
+
+module.exports = {
+	TransitionRecorder: TransitionRecorder
+};
+
+function TransitionRecorder(fsm) {
+	mod_assert.object(fsm, 'fsm');
+	mod_assert.func(fsm._addObserver, 'fsm._addObserver');
+	var self = this;
+	this.tr_fsm = fsm;
+	this.tr_transitions = [];
+	this.tr_observer = function (from, to) {
+		self.tr_transitions.push({ from: from, to: to });
+	};
+	fsm._addObserver(this.tr_observer);
+}
+
+/* Stop recording. The transitions recorded so far are kept. */
+TransitionRecorder.prototype.detach = function () {
+	this.tr_fsm._removeObserver(this.tr_observer);
+};
+
+/* Forget all of the transitions recorded so far. */
+TransitionRecorder.prototype.clear = function () {
+	this.tr_transitions = [];
+};
+
+/*
+ * Returns an Array of Objects, one for each transition recorded (oldest
+ * first), with properties "from" and "to" (the old and new state names).
+ */
+TransitionRecorder.prototype.transitions = function () {
+	return (this.tr_transitions.map(function (tr) {
+		return ({ from: tr.from, to: tr.to });
+	}));
+};
+
+/* Returns an Array of the names of the states entered, oldest first. */
+TransitionRecorder.prototype.states = function () {
+	return (this.tr_transitions.map(function (tr) {
+		return (tr.to);
+	}));
+};
+
+function describe(state) {
+	return (state === undefined ? 'nothing' : '"' + state + '"');
+}
+
+/*
+ * Assert that the FSM entered exactly the given states, in order, since the
+ * recorder was attached (or last cleared).
+ */
+TransitionRecorder.prototype.assertSequence = function (t, expected, msg) {
+	mod_assert.object(t, 't');
+	mod_assert.arrayOfString(expected, 'expected');
+	mod_assert.optionalString(msg, 'msg');
+	if (msg === undefined)
+		msg = 'went through states ' + expected.join(' => ');
+
+	var actual = this.states();
+	var len = Math.max(actual.length, expected.length);
+	for (var i = 0; i < len; ++i) {
+		if (actual[i] !== expected[i]) {
+			msg += ' (first difference at #' + i + ': expected ' +
+			    describe(expected[i]) + ', got ' +
+			    describe(actual[i]) + ')';
+			break;
+		}
+	}
+	t.deepEqual(actual, expected, msg);
+};
+
+/*
+ * Assert that the FSM is currently in the given state (or one of its
+ * sub-states, as with FSM#isInState()).
+ */
+TransitionRecorder.prototype.assertState = function (t, state, msg) {
+	mod_assert.object(t, 't');
+	mod_assert.string(state, 'state');
+	mod_assert.optionalString(msg, 'msg');
+	if (msg === undefined)
+		msg = 'is in state ' + state;
+
+	var fsm = this.tr_fsm;
+	if (fsm.isInState(state)) {
+		t.pass(msg);
+		return;
+	}
+	var region = state.indexOf(':') === -1 ? undefined :
+	    state.slice(0, state.indexOf(':'));
+	t.strictEqual(fsm.getState(region), state, msg);
+};
+
+/*
+ * Assert that the FSM has not entered the given state (or any of its
+ * sub-states) since the recorder was attached (or last cleared).
+ */
+TransitionRecorder.prototype.assertNeverEntered = function (t, state, msg) {
+	mod_assert.object(t, 't');
+	mod_assert.string(state, 'state');
+	mod_assert.optionalString(msg, 'msg');
+	if (msg === undefined)
+		msg = 'never entered state ' + state;
+
+	var trs = this.tr_transitions;
+	for (var i = 0; i < trs.length; ++i) {
+		var s = trs[i].to;
+		if (s === state || s.indexOf(state + '.') === 0) {
+			t.fail(msg + ' (entered ' + describe(s) + ' from ' +
+			    describe(trs[i].from) + ' at #' + i + ')');
+			return;
+		}
+	}
+	t.pass(msg);
+};
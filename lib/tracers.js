@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * tracers.js: pluggable tracing backends for FSMs.
+ *
+ * A tracer is an Object with any of the following methods, which are called
+ * synchronously at the same points where the DTrace probes fire:
+ *
+ *   - createFsm(info): a new FSM instance has been constructed
+ *   - transitionStart(info): an FSM is about to transition to a new state
+ *   - transitionEnd(info): the new state's entry function has returned
+ *   - destroyFsm(info): FSM#destroy() has been called
+ *
+ * The "info" argument is an Object with the properties:
+ *   - fsm: the FSM instance itself
+ *   - className: String, the name of the FSM's class
+ *   - id: String, the unique id of the FSM instance
+ *   - from: String, the old state (transitions only; undefined for the
+ *           initial state, or one restored from a snapshot)
+ *   - to: String, the new state (transitions only)
+ *   - elapsed: Number, milliseconds spent in the old state (transitionEnd
+ *              only; undefined when "from" is)
+ *
+ * Tracers are registered with FSM.addTracer(). The DTraceTracer is
+ * registered by default if dtrace-provider is available.
+ */
+
+var mod_assert = require('assert-plus');
+
+var mod_dtrace;
+
+try {
+	mod_dtrace = require('dtrace-provider');
+} catch (e) {
+	mod_dtrace = undefined;
+}
+
+module.exports = {
+	DTraceTracer: DTraceTracer,
+	DiagnosticsChannelTracer: DiagnosticsChannelTracer,
+	LoggerTracer: LoggerTracer,
+	haveDTrace: (mod_dtrace !== undefined)
+};
+
+/*
+ * The provider can only be created once per process, so it is shared by all
+ * DTraceTracer instances.
+ */
+var dt;
+
+function getProvider() {
+	if (dt !== undefined)
+		return (dt);
+	if (mod_dtrace === undefined) {
+		throw (new Error('DTrace tracing requires the ' +
+		    '"dtrace-provider" module, which is not available'));
+	}
+	dt = {};
+	dt.provider = mod_dtrace.createDTraceProvider('moorefsm');
+	dt.create = dt.provider.addProbe('create-fsm', 'char *', 'char *');
+	dt.start = dt.provider.addProbe('transition-start', 'char *', 'char *',
+	    'char *', 'char *');
+	dt.end = dt.provider.addProbe('transition-end', 'char *', 'char *',
+	    'char *', 'char *');
+	dt.provider.enable();
+	return (dt);
+}
+
+/*
+ * Fires the "moorefsm" DTrace probes (create-fsm, transition-start and
+ * transition-end).
+ */
+function DTraceTracer() {
+	this.dtt_probes = getProvider();
+}
+
+DTraceTracer.prototype.createFsm = function (info) {
+	this.dtt_probes.create.fire(function () {
+		return ([info.className, info.id]);
+	});
+};
+
+DTraceTracer.prototype.transitionStart = function (info) {
+	this.dtt_probes.start.fire(function () {
+		return ([info.className, info.id, info.from, info.to]);
+	});
+};
+
+DTraceTracer.prototype.transitionEnd = function (info) {
+	this.dtt_probes.end.fire(function () {
+		return ([info.className, info.id, info.from, info.to]);
+	});
+};
+
+/*
+ * Publishes to node's diagnostics_channel module, on the channels
+ * "<prefix>:create-fsm", "<prefix>:transition-start",
+ * "<prefix>:transition-end" and "<prefix>:destroy-fsm". The message is the
+ * "info" Object (see above). The prefix defaults to "mooremachine".
+ */
+function DiagnosticsChannelTracer(prefix) {
+	mod_assert.optionalString(prefix, 'prefix');
+	if (prefix === undefined)
+		prefix = 'mooremachine';
+
+	var mod_dc;
+	try {
+		mod_dc = require('diagnostics_channel');
+	} catch (e) {
+		throw (new Error('This version of node does not support ' +
+		    'diagnostics_channel'));
+	}
+	this.dct_create = mod_dc.channel(prefix + ':create-fsm');
+	this.dct_start = mod_dc.channel(prefix + ':transition-start');
+	this.dct_end = mod_dc.channel(prefix + ':transition-end');
+	this.dct_destroy = mod_dc.channel(prefix + ':destroy-fsm');
+}
+
+DiagnosticsChannelTracer.prototype.createFsm = function (info) {
+	if (this.dct_create.hasSubscribers)
+		this.dct_create.publish(info);
+};
+
+DiagnosticsChannelTracer.prototype.transitionStart = function (info) {
+	if (this.dct_start.hasSubscribers)
+		this.dct_start.publish(info);
+};
+
+DiagnosticsChannelTracer.prototype.transitionEnd = function (info) {
+	if (this.dct_end.hasSubscribers)
+		this.dct_end.publish(info);
+};
+
+DiagnosticsChannelTracer.prototype.destroyFsm = function (info) {
+	if (this.dct_destroy.hasSubscribers)
+		this.dct_destroy.publish(info);
+};
+
+/*
+ * Logs FSM creation and destruction, and the start of each transition, either
+ * to a bunyan-style logger (any Object with a method for each level, taking a
+ * fields Object followed by a message) or to a plain function taking the
+ * same arguments.
+ *
+ * The fields logged are "fsm_id", "fsm_class" and (for transitions) "from"
+ * and "to". The level used defaults to "debug".
+ */
+function LoggerTracer(log, level) {
+	mod_assert.optionalString(level, 'level');
+	if (level === undefined)
+		level = 'debug';
+	if (typeof (log) === 'function') {
+		this.lt_log = log;
+	} else {
+		mod_assert.object(log, 'log');
+		mod_assert.func(log[level], 'log.' + level);
+		this.lt_log = log[level].bind(log);
+	}
+}
+
+LoggerTracer.prototype.createFsm = function (info) {
+	this.lt_log({
+		fsm_id: info.id,
+		fsm_class: info.className
+	}, 'FSM created');
+};
+
+LoggerTracer.prototype.transitionStart = function (info) {
+	this.lt_log({
+		fsm_id: info.id,
+		fsm_class: info.className,
+		from: info.from,
+		to: info.to
+	}, 'FSM transition');
+};
+
+LoggerTracer.prototype.destroyFsm = function (info) {
+	this.lt_log({
+		fsm_id: info.id,
+		fsm_class: info.className
+	}, 'FSM destroyed');
+};
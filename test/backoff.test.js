@@ -0,0 +1,123 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var mod_backoff = require('../lib/backoff');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function ConnFSM(sched, opts) {
+	this.cf_opts = opts;
+	this.cf_delays = [];
+	FSM.call(this, 'connecting', { scheduler: sched });
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_connecting = function (S) {
+	S.gotoStateOn(this, 'error', 'backoff');
+	S.gotoStateOn(this, 'connect', 'connected');
+};
+ConnFSM.prototype.state_connected = function (S) {
+	this.resetBackoff('backoff');
+	S.gotoStateOn(this, 'close', 'backoff');
+};
+ConnFSM.prototype.state_backoff = function (S) {
+	var delay = S.backoff(this.cf_opts);
+	this.cf_delays.push(delay);
+	if (delay !== undefined)
+		S.gotoStateOn(this, 'kick', 'connecting');
+};
+ConnFSM.prototype.state_failed = function (S) {
+};
+
+test('exponential backoff gives up after maxAttempts', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched, {
+		state: 'connecting',
+		failState: 'failed',
+		initialDelay: 100,
+		maxDelay: 500,
+		maxAttempts: 4
+	});
+
+	c.emit('error');
+	sched.advance(99);
+	t.strictEqual(c.getState(), 'backoff');
+	sched.advance(1);
+	t.strictEqual(c.getState(), 'connecting');
+	[200, 400, 500].forEach(function (ms) {
+		c.emit('error');
+		sched.advance(ms);
+		t.strictEqual(c.getState(), 'connecting');
+	});
+	c.emit('error');
+	t.strictEqual(c.getState(), 'failed');
+	t.deepEqual(c.cf_delays, [100, 200, 400, 500, undefined]);
+
+	var h = c.getHistory();
+	t.deepEqual(h[h.length - 2].exitCause,
+	    { method: 'backoff', attempts: 4 });
+	t.deepEqual(h[h.length - 4].exitCause,
+	    { method: 'backoff', attempt: 4, delay: 500 });
+	t.end();
+});
+
+test('backoff is reset, and its timer is cleared on exit', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched, {
+		state: 'connecting',
+		strategy: 'linear',
+		initialDelay: 1000,
+		increment: 500
+	});
+
+	c.emit('error');
+	sched.advance(1000);
+	c.emit('error');
+	/* Leaving early clears the timer. */
+	c.emit('kick');
+	sched.advance(10000);
+	t.strictEqual(c.getState(), 'connecting');
+	c.emit('error');
+	sched.advance(2000);
+	c.emit('connect');
+	c.emit('close');
+	sched.advance(1000);
+	t.strictEqual(c.getState(), 'connecting');
+	t.deepEqual(c.cf_delays, [1000, 1500, 2000, 1000]);
+	t.end();
+});
+
+test('backoff strategies', function (t) {
+	function delays(opts, n) {
+		var o = mod_backoff.normalise(opts, 'x');
+		var ret = [];
+		for (var i = 0; i < n; ++i)
+			ret.push(mod_backoff.delay(o, i));
+		return (ret);
+	}
+	t.deepEqual(delays({ state: 'a', initialDelay: 10, factor: 3 }, 4),
+	    [10, 30, 90, 270]);
+	t.deepEqual(delays({ state: 'a', strategy: 'linear',
+	    initialDelay: 10, maxDelay: 25 }, 4), [10, 20, 25, 25]);
+	delays({ state: 'a', strategy: 'jitter', initialDelay: 100,
+	    maxDelay: 1000 }, 20).forEach(function (d, i) {
+		t.ok(d >= 0 && d <= Math.min(1000, 100 * Math.pow(2, i)),
+		    'jittered delay ' + d + ' in range');
+	});
+
+	t.throws(function () {
+		mod_backoff.normalise({ state: 'a', strategy: 'fibonacci' });
+	}, /Unknown FSM backoff strategy "fibonacci"/);
+	t.throws(function () {
+		mod_backoff.normalise({ state: 'a', maxAttempts: 3 });
+	}, /requires a failState/);
+	t.end();
+});
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright (c) 2026, Joyent, Inc.
  */
 
 var FSM = require('../lib/fsm');
@@ -171,6 +171,174 @@ test('substates', function (t) {
 	});
 });
 
+test('deeply nested substates', function (t) {
+	var Class = function () {
+		FSM.call(this, 'conn');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_conn = function (S) {
+		S.on(this, 'close', function () {
+			S.gotoState('closed');
+		});
+		S.gotoState('conn.auth');
+	};
+	Class.prototype.state_conn.auth = function (S) {
+		S.on(this, 'stream', function () {
+			S.gotoState('conn.auth.streaming');
+		});
+		S.on(this, 'reauth', function () {
+			S.gotoState('conn.auth');
+		});
+	};
+	Class.prototype.state_conn.auth.streaming = function (S) {
+		S.on(this, 'idle', function () {
+			S.gotoState('conn.auth.idle');
+		});
+		S.on(this, 'fail', function () {
+			S.gotoState('conn.failed');
+		});
+	};
+	Class.prototype.state_conn.auth.idle = function (S) {
+		S.on(this, 'resume', function () {
+			S.gotoState('conn.auth.streaming');
+		});
+	};
+	Class.prototype.state_conn.failed = function (S) {
+	};
+	Class.prototype.state_closed = function (S) {
+	};
+
+	var c = new Class();
+	var history = [];
+	c.on('stateChanged', function (st) {
+		history.push(st);
+	});
+	t.strictEqual(c.getState(), 'conn.auth');
+
+	c.emit('stream');
+	t.strictEqual(c.getState(), 'conn.auth.streaming');
+	t.ok(c.isInState('conn'));
+	t.ok(c.isInState('conn.auth'));
+	t.ok(!c.isInState('conn.au'));
+	t.strictEqual(c.listeners('close').length, 1);
+	t.strictEqual(c.listeners('reauth').length, 1);
+	t.strictEqual(c.listeners('idle').length, 1);
+
+	/* Sibling at the deepest level keeps both parents' handlers. */
+	c.emit('idle');
+	t.strictEqual(c.getState(), 'conn.auth.idle');
+	t.strictEqual(c.listeners('close').length, 1);
+	t.strictEqual(c.listeners('reauth').length, 1);
+	t.strictEqual(c.listeners('idle').length, 0);
+	t.strictEqual(c.listeners('resume').length, 1);
+
+	/* Leaving for a sibling of the middle level drops it too. */
+	c.emit('resume');
+	c.emit('fail');
+	t.strictEqual(c.getState(), 'conn.failed');
+	t.strictEqual(c.listeners('close').length, 1);
+	t.strictEqual(c.listeners('reauth').length, 0);
+	t.strictEqual(c.listeners('stream').length, 0);
+	t.strictEqual(c.listeners('fail').length, 0);
+
+	c.emit('close');
+	t.strictEqual(c.getState(), 'closed');
+	t.strictEqual(c.listeners('close').length, 0);
+
+	setImmediate(function () {
+		t.deepEqual(history, ['conn', 'conn.auth',
+		    'conn.auth.streaming', 'conn.auth.idle',
+		    'conn.auth.streaming', 'conn.failed', 'closed']);
+		t.end();
+	});
+});
+
+test('exit functions', function (t) {
+	var log = [];
+
+	var Class = function () {
+		FSM.call(this, 'conn');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_conn = function (S) {
+		log.push('enter conn');
+		S.gotoStateOn(this, 'close', 'closed');
+		S.gotoState('conn.auth');
+	};
+	Class.prototype.state_conn.auth = function (S) {
+		log.push('enter conn.auth');
+		S.gotoStateOn(this, 'stream', 'conn.auth.streaming');
+	};
+	Class.prototype.state_conn.auth.streaming = function (S) {
+		log.push('enter conn.auth.streaming');
+		S.gotoStateOn(this, 'next', 'conn.other');
+	};
+	Class.prototype.state_conn.other = function (S) {
+		log.push('enter conn.other');
+	};
+	Class.prototype.state_closed = function (S) {
+		log.push('enter closed');
+	};
+	Class.prototype.exit_conn = function (from, to) {
+		t.ok(this instanceof Class);
+		log.push('exit conn ' + from + ' ' + to);
+	};
+	Class.prototype.exit_conn.auth = function (from, to) {
+		log.push('exit conn.auth ' + from + ' ' + to);
+	};
+	/* conn.auth.streaming has no exit function */
+	Class.prototype.exit_conn.other = function (from, to) {
+		t.strictEqual(this.getState(), 'conn.other');
+		log.push('exit conn.other ' + from + ' ' + to);
+	};
+
+	var c = new Class();
+	t.deepEqual(log, ['enter conn', 'enter conn.auth']);
+	log = [];
+	c.emit('stream');
+	t.deepEqual(log, ['enter conn.auth.streaming']);
+	log = [];
+	c.emit('next');
+	t.deepEqual(log, [
+		'exit conn.auth conn.auth.streaming conn.other',
+		'enter conn.other'
+	]);
+	log = [];
+	c.emit('close');
+	t.deepEqual(log, [
+		'exit conn.other conn.other closed',
+		'exit conn conn.other closed',
+		'enter closed'
+	]);
+	t.end();
+});
+
+test('exit functions on plain objects', function (t) {
+	var log = [];
+
+	var Class = function () {
+		FSM.call(this, 'a.b');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_a = function (S) {
+	};
+	Class.prototype.state_a.b = function (S) {
+		S.gotoStateOn(this, 'foo', 'c');
+	};
+	Class.prototype.state_c = function (S) {
+	};
+	Class.prototype.exit_a = {
+		b: function (from, to) {
+			log.push(from + ' => ' + to);
+		}
+	};
+
+	var c = new Class();
+	c.emit('foo');
+	t.deepEqual(log, ['a.b => c']);
+	t.end();
+});
+
 /*
  * Note that re-entry into the same state is legal, but discouraged. We keep
  * the test here to verify that it works in the basic case, but making
@@ -239,7 +407,7 @@ test('re-entry to parent state', function (t) {
 	});
 });
 
-test('too many dots in state name', function (t) {
+test('unknown nested sub-state', function (t) {
 	var Class = function () {
 		FSM.call(this, 'initial');
 	};
@@ -254,7 +422,7 @@ test('too many dots in state name', function (t) {
 	t.ok(c.isInState('initial'));
 	t.throws(function () {
 		c.emit('foo');
-	});
+	}, /Unknown FSM sub-state: initial\.foo\.bar/);
 	t.end();
 });
 
@@ -525,9 +693,9 @@ test('interacting FSMs', function (t) {
 	t.ok(a.isInState('s1'));
 	t.ok(b.isInState('s1'));
 
-	function takeFirst(arr) { return (arr[0]); }
-	t.deepEqual(a.fsm_history.map(takeFirst), ['s1', 's2', 's3', 's1']);
-	t.deepEqual(b.fsm_history.map(takeFirst), ['s1', 's2', 's3', 's1']);
+	function getState(h) { return (h.state); }
+	t.deepEqual(a.getHistory().map(getState), ['s1', 's2', 's3', 's1']);
+	t.deepEqual(b.getHistory().map(getState), ['s1', 's2', 's3', 's1']);
 
 	t.end();
 });
@@ -547,10 +715,17 @@ test('invalid arguments throw', function (t) {
 			'interval',
 			'timeout',
 			'callback',
+			'cleanup',
 			'on',
 			'gotoState',
 			'gotoStateOn',
-			'gotoStateTimeout'
+			'gotoStateTimeout',
+			'promise',
+			'gotoStateOnPromise',
+			'backoff',
+			'inputs',
+			'defer',
+			'child'
 		];
 
 		funcsToThrow.forEach(function (funcName) {
@@ -0,0 +1,136 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function RequestFSM(sched, delay) {
+	this.rf_delay = delay;
+	this.rf_cleanedUp = false;
+	FSM.call(this, 'running', {
+		scheduler: sched,
+		terminal: ['done', 'failed']
+	});
+}
+util.inherits(RequestFSM, FSM);
+RequestFSM.prototype.state_running = function (S) {
+	var self = this;
+	S.gotoStateTimeout(Math.abs(this.rf_delay),
+	    (this.rf_delay < 0 ? 'failed' : 'done'));
+	S.cleanup(function () {
+		self.rf_cleanedUp = true;
+	});
+};
+RequestFSM.prototype.state_done = function (S) {
+};
+RequestFSM.prototype.state_failed = function (S) {
+};
+
+function ServerFSM(sched) {
+	this.sf_sched = sched;
+	this.sf_results = [];
+	FSM.call(this, 'idle', { scheduler: sched });
+}
+util.inherits(ServerFSM, FSM);
+ServerFSM.prototype.state_idle = function (S) {
+	S.gotoStateOn(this, 'request', 'serving');
+	S.gotoStateOn(this, 'stop', 'stopped');
+};
+ServerFSM.prototype.state_serving = function (S, delay) {
+	this.sf_req = S.child(function () {
+		return (new RequestFSM(this.sf_sched, delay));
+	}, {
+		done: 'idle',
+		failed: 'idle'
+	});
+	S.gotoStateOn(this, 'stop', 'stopped');
+};
+ServerFSM.prototype.state_stopped = function (S) {
+};
+
+test('child FSMs map their terminal states to transitions', function (t) {
+	var sched = new VirtualScheduler();
+	var s = new ServerFSM(sched);
+
+	s.emit('request', 100);
+	t.strictEqual(s.getState(), 'serving');
+	var req = s.sf_req;
+	t.strictEqual(req.getState(), 'running');
+	sched.advance(100);
+	t.strictEqual(req.getState(), 'done');
+	t.strictEqual(s.getState(), 'idle');
+
+	var h = s.getHistory();
+	t.deepEqual(h[1].exitCause, { method: 'child', state: 'done' });
+
+	s.emit('request', -50);
+	sched.advance(50);
+	t.strictEqual(s.sf_req.getState(), 'failed');
+	t.strictEqual(s.getState(), 'idle');
+	t.end();
+});
+
+test('child FSMs are destroyed when their state is left', function (t) {
+	var sched = new VirtualScheduler();
+	var s = new ServerFSM(sched);
+
+	s.emit('request', 100);
+	var req = s.sf_req;
+	s.emit('stop');
+	t.strictEqual(s.getState(), 'stopped');
+	t.ok(req.isDestroyed());
+	t.notOk(req.isFinished());
+	t.ok(req.rf_cleanedUp);
+
+	sched.advance(1000);
+	t.strictEqual(req.getState(), 'running');
+	t.strictEqual(sched.pending(), 0);
+	t.end();
+});
+
+test('child FSM arguments are checked', function (t) {
+	var sched = new VirtualScheduler();
+
+	function Bad(child, states) {
+		this.b_child = child;
+		this.b_states = states;
+		FSM.call(this, 'a', { scheduler: sched });
+	}
+	util.inherits(Bad, FSM);
+	Bad.prototype.state_a = function (S) {
+		S.child(this.b_child, this.b_states);
+	};
+
+	t.throws(function () {
+		return (new Bad({}));
+	}, /FSM child in state a is not an FSM/);
+	t.throws(function () {
+		return (new Bad(new RequestFSM(sched, 10), { closed: 'a' }));
+	}, /FSM child RequestFSM has no terminal state closed/);
+	t.throws(function () {
+		return (new Bad(new RequestFSM(sched, 10), { done: 1 }));
+	}, /states\["done"\]/);
+
+	var req = new RequestFSM(sched, 10);
+	req.destroy();
+	t.throws(function () {
+		return (new Bad(req));
+	}, /attempted to start child RequestFSM .* already destroyed/);
+
+	/* Without a mapping, the child is just owned by the state. */
+	req = new RequestFSM(sched, 10);
+	var b = new Bad(req);
+	sched.advance(10);
+	t.ok(req.isFinished());
+	t.strictEqual(b.getState(), 'a');
+	t.end();
+});
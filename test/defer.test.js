@@ -0,0 +1,122 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function ConnFSM(sched, opts) {
+	this.cf_log = [];
+	if (opts === undefined)
+		opts = {};
+	opts.scheduler = sched;
+	FSM.call(this, 'connecting', opts);
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_connecting = function (S) {
+	S.inputs({ close: 'closed' });
+	S.gotoState('connecting.tcp');
+};
+ConnFSM.prototype.state_connecting.tcp = function (S) {
+	S.defer(['query']);
+	S.inputs({ connected: 'connecting.auth' });
+};
+ConnFSM.prototype.state_connecting.auth = function (S) {
+	/* Deferring overrides the parent's handler for "close". */
+	S.defer(['query', 'close']);
+	S.inputs({ authed: 'connected' });
+};
+ConnFSM.prototype.state_connected = function (S) {
+	var self = this;
+	S.inputs({
+		query: function (S2, q) {
+			self.cf_log.push(q);
+		},
+		close: 'closed',
+		busy: 'connected.busy'
+	});
+};
+ConnFSM.prototype.state_connected.busy = function (S) {
+	S.defer(['query']);
+	S.inputs({ idle: 'connected' });
+};
+ConnFSM.prototype.state_closed = function (S) {
+	S.inputs({ reconnect: 'connecting' });
+};
+
+test('deferred inputs are replayed in order', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched);
+	var unhandled = 0;
+	c.on('unhandledEvent', function () {
+		unhandled++;
+	});
+
+	c.send('query', 'a');
+	c.send('connected');
+	c.send('query', 'b');
+	c.send('close');
+	t.strictEqual(c.getState(), 'connecting.auth');
+	t.deepEqual(c.cf_log, []);
+
+	c.send('authed');
+	t.strictEqual(c.getState(), 'closed');
+	t.deepEqual(c.cf_log, ['a', 'b']);
+
+	sched.runImmediates();
+	t.strictEqual(unhandled, 0);
+	t.end();
+});
+
+test('deferred inputs wait for a state which handles them', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched);
+
+	c.send('connected');
+	c.send('authed');
+	c.send('busy');
+	c.send('query', 'a');
+	c.send('query', 'b');
+	t.deepEqual(c.cf_log, []);
+	c.send('idle');
+	t.strictEqual(c.getState(), 'connected');
+	t.deepEqual(c.cf_log, ['a', 'b']);
+	c.send('query', 'c');
+	t.deepEqual(c.cf_log, ['a', 'b', 'c']);
+
+	/* Inputs no state defers are still unhandled. */
+	t.throws(function () {
+		c.send('authed');
+	}, /received event authed in state\(s\) connected/);
+	t.end();
+});
+
+test('deferred inputs are discarded', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched, { discardDeferred: ['closed'] });
+
+	c.send('query', 'a');
+	c.send('close');
+	t.strictEqual(c.getState(), 'closed');
+	t.deepEqual(c.cf_log, []);
+	c.send('reconnect');
+	c.send('connected');
+	c.send('authed');
+	t.strictEqual(c.getState(), 'connected');
+	t.deepEqual(c.cf_log, []);
+
+	c = new ConnFSM(sched, { terminal: ['closed'] });
+	c.send('query', 'a');
+	c.send('close');
+	t.ok(c.isFinished());
+	t.deepEqual(c.fsm_heldInputs, []);
+	t.end();
+});
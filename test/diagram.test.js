@@ -0,0 +1,110 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var mod_diagram = require('../lib/diagram');
+var test = require('tape').test;
+var util = require('util');
+
+function ThingFSM() {
+	FSM.call(this, 'stopped');
+}
+util.inherits(ThingFSM, FSM);
+ThingFSM.prototype.state_stopped = function (S) {
+	S.gotoStateOn(this, 'startAsserted', 'connecting');
+};
+ThingFSM.prototype.state_connecting = function (S) {
+	S.validTransitions(['connected', 'error']);
+	S.gotoStateOn(this.sock, 'connect', 'connected');
+	S.gotoStateOn(this.sock, 'error', 'error');
+};
+ThingFSM.prototype.state_error = function (S) {
+	/* Only the state, not its arguments, is an edge. */
+	S.gotoStateTimeout(Math.min(this.delay, 1000), 'connecting', 'slow');
+};
+ThingFSM.prototype.state_connected = function (S) {
+	S.gotoState('connected.idle');
+};
+ThingFSM.prototype.state_connected.idle = function (S) {
+	S.gotoStateOn(this, 'work', 'connected.busy');
+};
+ThingFSM.prototype.state_connected.busy = function (S) {
+	S.gotoStateOn(this, 'done', 'connected.idle');
+};
+
+test('dot from inferred graph', function (t) {
+	t.strictEqual(mod_diagram.toDot(ThingFSM), [
+		'digraph "ThingFSM" {',
+		'    "__start" [shape=point];',
+		'    "__start" -> "stopped";',
+		'    subgraph "cluster_connected" {',
+		'        label="connected";',
+		'        "connected";',
+		'        "connected.busy" [label="busy"];',
+		'        "connected.idle" [label="idle"];',
+		'    }',
+		'    "connecting";',
+		'    "error";',
+		'    "stopped";',
+		'    "connected" -> "connected.idle";',
+		'    "connected.busy" -> "connected.idle";',
+		'    "connected.idle" -> "connected.busy";',
+		'    "connecting" -> "connected";',
+		'    "connecting" -> "error";',
+		'    "error" -> "connecting";',
+		'    "stopped" -> "connecting";',
+		'}',
+		''
+	].join('\n'));
+	t.end();
+});
+
+test('mermaid from declared graph', function (t) {
+	function Declared() {
+		ThingFSM.call(this);
+	}
+	util.inherits(Declared, ThingFSM);
+	FSM.defineGraph(Declared, {
+		initial: 'stopped',
+		states: {
+			'stopped': ['connecting'],
+			'connecting': ['connected', 'error'],
+			'error': ['connecting', 'closed'],
+			'connected': ['connected.idle'],
+			'connected.idle': ['connected.busy'],
+			'connected.busy': ['connected.idle'],
+			'closed': []
+		},
+		terminal: ['closed']
+	});
+
+	t.strictEqual(mod_diagram.toMermaid(Declared), [
+		'stateDiagram-v2',
+		'    state connected {',
+		'        state "busy" as connected__busy',
+		'        state "idle" as connected__idle',
+		'        [*] --> connected__idle',
+		'    }',
+		'    [*] --> stopped',
+		'    connected__busy --> connected__idle',
+		'    connected__idle --> connected__busy',
+		'    connecting --> connected',
+		'    connecting --> error',
+		'    error --> connecting',
+		'    error --> closed',
+		'    stopped --> connecting',
+		'    closed --> [*]',
+		''
+	].join('\n'));
+
+	var dot = mod_diagram.toDot(Declared);
+	t.ok(dot.indexOf('"closed" [shape=doublecircle];') !== -1);
+	t.end();
+});
@@ -0,0 +1,205 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function JobFSM(sched, errorState) {
+	this.jf_ee = new EventEmitter();
+	this.jf_failures = [];
+	FSM.call(this, 'idle', {
+		scheduler: sched,
+		errorState: errorState
+	});
+}
+util.inherits(JobFSM, FSM);
+JobFSM.prototype.state_idle = function (S) {
+	S.gotoStateOn(this, 'start', 'starting');
+	S.gotoStateOn(this, 'run', 'running');
+	S.gotoStateOn(this, 'wait', 'waiting');
+	S.inputs({
+		poke: function () {
+			throw (new Error('poked'));
+		}
+	});
+	S.on(this.jf_ee, 'boom', function () {
+		throw (new Error('boom'));
+	});
+	S.timeout(1000, function () {
+		throw (new Error('timed out'));
+	});
+	this.jf_cb = S.callback(function () {
+		throw (new Error('called back'));
+	});
+};
+JobFSM.prototype.state_starting = function (S) {
+	/* Dropped, since the entry function throws. */
+	S.gotoState('running');
+	throw (new Error('failed to start'));
+};
+JobFSM.prototype.state_running = function (S) {
+	S.gotoStateOn(this, 'stop', 'idle');
+};
+JobFSM.prototype.exit_running = function () {
+	throw (new Error('failed to stop'));
+};
+JobFSM.prototype.state_waiting = function (S) {
+	S.promise(Promise.reject(new Error('rejected')), function (err) {
+		throw (err);
+	});
+};
+JobFSM.prototype.state_failed = function (S, err) {
+	this.jf_failures.push(err.message);
+	S.gotoStateOn(this, 'retry', 'idle');
+	S.gotoStateOn(this, 'break', 'failed.again');
+};
+JobFSM.prototype.state_failed.again = function (S) {
+	throw (new Error('failed again'));
+};
+
+test('exceptions from entry functions go to the error state', function (t) {
+	var sched = new VirtualScheduler();
+	var j = new JobFSM(sched, 'failed');
+	var p = j.waitForState('running');
+
+	j.emit('start');
+	t.strictEqual(j.getState(), 'failed');
+	t.notOk(j.fsm_inTransition);
+	t.deepEqual(j.jf_failures, ['failed to start']);
+	t.strictEqual(j.getLastError().message, 'failed to start');
+
+	var h = j.getHistory();
+	t.deepEqual(h.map(function (r) {
+		return (r.state);
+	}), ['idle', 'starting', 'failed']);
+	t.deepEqual(h[1].exitCause, {
+		method: 'error',
+		message: 'failed to start'
+	});
+
+	/* The FSM carries on as normal afterwards. */
+	j.emit('retry');
+	j.emit('run');
+	t.strictEqual(j.getState(), 'running');
+
+	p.then(function () {
+		t.fail('waitForState resolved');
+		t.end();
+	}, function (err) {
+		t.ok(/entered error state failed/.test(err.message));
+		t.end();
+	});
+	sched.runImmediates();
+});
+
+test('exceptions from handle callbacks go to the error state', function (t) {
+	var sched = new VirtualScheduler();
+
+	function check(poke, msg) {
+		var j = new JobFSM(sched, 'failed');
+		poke(j);
+		t.strictEqual(j.getState(), 'failed', msg + ' => failed');
+		t.deepEqual(j.jf_failures, [msg]);
+	}
+	check(function (j) {
+		j.jf_ee.emit('boom');
+	}, 'boom');
+	check(function (j) {
+		sched.advance(1000);
+	}, 'timed out');
+	check(function (j) {
+		j.jf_cb();
+	}, 'called back');
+	check(function (j) {
+		j.send('poke');
+	}, 'poked');
+
+	var j = new JobFSM(sched, 'failed');
+	j.emit('wait');
+	setImmediate(function () {
+		t.strictEqual(j.getState(), 'failed');
+		t.deepEqual(j.jf_failures, ['rejected']);
+		t.end();
+	});
+});
+
+test('exceptions from exit functions go to the error state', function (t) {
+	var sched = new VirtualScheduler();
+	var j = new JobFSM(sched, 'failed');
+
+	j.emit('run');
+	j.emit('stop');
+	t.strictEqual(j.getState(), 'failed');
+	t.notOk(j.fsm_inTransition);
+	t.deepEqual(j.jf_failures, ['failed to stop']);
+	t.deepEqual(j.getHistory().map(function (r) {
+		return (r.state);
+	}), ['idle', 'running', 'idle', 'failed']);
+
+	/* The state was left, so its handlers are gone. */
+	j.emit('stop');
+	t.strictEqual(j.getState(), 'failed');
+	j.emit('retry');
+	t.strictEqual(j.getState(), 'idle');
+	t.deepEqual(j.jf_failures, ['failed to stop']);
+
+	j = new JobFSM(sched);
+	var errs = [];
+	j.on('error', function (err) {
+		errs.push(j.getState() + ': ' + err.message);
+	});
+	j.emit('run');
+	j.emit('stop');
+	t.deepEqual(errs, ['idle: failed to stop']);
+	j.emit('run');
+	t.strictEqual(j.getState(), 'running');
+	t.end();
+});
+
+test('exceptions are emitted without an error state', function (t) {
+	var sched = new VirtualScheduler();
+	var j = new JobFSM(sched);
+	var errs = [];
+	j.on('error', function (err) {
+		errs.push(j.getState() + ': ' + err.message);
+	});
+
+	j.jf_ee.emit('boom');
+	j.emit('start');
+	t.deepEqual(errs, ['idle: boom', 'starting: failed to start']);
+	t.strictEqual(j.getState(), 'starting');
+	t.strictEqual(j.getHistory().length, 2);
+	t.end();
+});
+
+test('exceptions are thrown with no error state or listener', function (t) {
+	var sched = new VirtualScheduler();
+	var j = new JobFSM(sched);
+
+	t.throws(function () {
+		j.emit('start');
+	}, /failed to start/);
+	t.notOk(j.fsm_inTransition);
+	t.deepEqual(j.fsm_transitionQueue, []);
+	t.strictEqual(j.getState(), 'starting');
+
+	/* An exception in the error state itself isn't routed back to it. */
+	j = new JobFSM(sched, 'failed');
+	j.emit('start');
+	t.throws(function () {
+		j.emit('break');
+	}, /failed again/);
+	t.strictEqual(j.getState(), 'failed.again');
+	t.strictEqual(j.getLastError().message, 'failed again');
+	t.end();
+});
@@ -0,0 +1,141 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var test = require('tape').test;
+var util = require('util');
+
+function makeClass() {
+	var Class = function () {
+		FSM.call(this, 'initial');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_initial = function (S) {
+		S.gotoStateOn(this, 'foo', 'connected');
+	};
+	Class.prototype.state_connected = function (S) {
+		S.gotoStateOn(this, 'close', 'closed');
+		S.gotoState('connected.idle');
+	};
+	Class.prototype.state_connected.idle = function (S) {
+		S.gotoStateOn(this, 'work', 'connected.busy');
+	};
+	Class.prototype.state_connected.busy = function (S) {
+		S.gotoStateOn(this, 'done', 'connected.idle');
+	};
+	Class.prototype.state_closed = function (S) {
+	};
+	return (Class);
+}
+
+var GOOD_GRAPH = {
+	initial: 'initial',
+	states: {
+		'initial': ['connected'],
+		'connected': ['connected.idle', 'closed'],
+		'connected.idle': ['connected.busy'],
+		'connected.busy': ['connected.idle'],
+		'closed': []
+	},
+	terminal: ['closed']
+};
+
+test('valid graph', function (t) {
+	var Class = makeClass();
+	FSM.defineGraph(Class, GOOD_GRAPH);
+	t.deepEqual(FSM.validateGraph(Class), []);
+
+	var c = new Class();
+	c.emit('foo');
+	t.strictEqual(c.getState(), 'connected.idle');
+	c.emit('work');
+	t.strictEqual(c.getState(), 'connected.busy');
+	c.emit('close');
+	t.strictEqual(c.getState(), 'closed');
+	t.end();
+});
+
+test('graph problems are reported', function (t) {
+	var Class = makeClass();
+	Class.prototype.state_orphan = function (S) {
+		S.gotoState('initial');
+	};
+	FSM.defineGraph(Class, {
+		initial: 'initial',
+		states: {
+			'initial': ['connected'],
+			'connected': ['connected.idle', 'clsoed'],
+			'connected.idle': ['connected.busy'],
+			'connected.busy': ['connected.idle'],
+			'closed': [],
+			'missing': ['initial']
+		}
+	});
+	var problems = FSM.validateGraph(Class);
+	t.deepEqual(problems.sort(), [
+		'edge "connected" => "clsoed" leads to an undeclared state',
+		'entry function for state "orphan" exists but the state is ' +
+		    'not declared',
+		'state "closed" has no exits and is not terminal',
+		'state "closed" is unreachable from initial state "initial"',
+		'state "missing" has no entry function',
+		'state "missing" is unreachable from initial state "initial"'
+	]);
+
+	t.throws(function () {
+		new Class();
+	}, /graph for Class is invalid.*clsoed/);
+	t.end();
+});
+
+test('graph checks initial state', function (t) {
+	var Class = makeClass();
+	FSM.defineGraph(Class, {
+		initial: 'connected',
+		states: {
+			'initial': ['connected'],
+			'connected': ['connected.idle', 'closed', 'initial'],
+			'connected.idle': ['connected.busy'],
+			'connected.busy': ['connected.idle'],
+			'closed': []
+		},
+		terminal: ['closed']
+	});
+	t.throws(function () {
+		new Class();
+	}, /declared initial state is connected/);
+	t.end();
+});
+
+test('graph refuses undeclared transitions', function (t) {
+	var Class = makeClass();
+	Class.prototype.state_connected.busy = function (S) {
+		S.gotoStateOn(this, 'done', 'connected.idle');
+		S.gotoStateOn(this, 'oops', 'initial');
+	};
+	FSM.defineGraph(Class, GOOD_GRAPH);
+
+	var c = new Class();
+	c.emit('foo');
+	c.emit('work');
+	t.throws(function () {
+		c.emit('oops');
+	}, /Invalid FSM transition: connected.busy => initial/);
+	t.strictEqual(c.getState(), 'connected.busy');
+	t.end();
+});
+
+test('validateGraph without a graph throws', function (t) {
+	var Class = makeClass();
+	t.throws(function () {
+		FSM.validateGraph(Class);
+	}, /no declared graph/);
+	t.end();
+});
@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function makeClass() {
+	var Class = function (sched) {
+		this.retries = 2;
+		FSM.call(this, 'connected', { scheduler: sched });
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_connected = function (S) {
+		S.gotoStateOn(this, 'drop', 'reconnect');
+		S.on(this, 'fail', function (why) {
+			S.gotoState('failed', why);
+		});
+	};
+	Class.prototype.state_reconnect = function (S) {
+		this.retries--;
+		S.gotoState('connected');
+	};
+	Class.prototype.state_failed = function (S) {
+	};
+	FSM.defineGuard(Class, 'connected', 'reconnect',
+	    function retriesRemain(fsm) {
+		return (fsm.retries > 0);
+	});
+	return (Class);
+}
+
+test('guards refuse transitions by throwing', function (t) {
+	var Class = makeClass();
+	var c = new Class();
+	c.emit('drop');
+	c.emit('drop');
+	t.strictEqual(c.retries, 0);
+	t.strictEqual(c.getState(), 'connected');
+
+	t.throws(function () {
+		c.emit('drop');
+	}, /connected => reconnect was refused by guard retriesRemain/);
+	t.strictEqual(c.getState(), 'connected');
+
+	/* The handle is still usable. */
+	c.retries = 1;
+	c.emit('drop');
+	t.strictEqual(c.retries, 0);
+	t.strictEqual(c.getState(), 'connected');
+	t.end();
+});
+
+test('guards see the payload and can emit rejections', function (t) {
+	var Class = makeClass();
+	var payloads = [];
+	FSM.defineGuard(Class, '*', 'failed', function (fsm, why) {
+		payloads.push(why);
+		return (why !== 'transient');
+	});
+
+	var sched = new VirtualScheduler();
+	var c = new Class(sched);
+	var rejections = [];
+	c.on('transitionRejected', function (info) {
+		rejections.push(info);
+	});
+	c.retries = 0;
+	c.emit('drop');
+	c.emit('fail', 'transient');
+	t.strictEqual(c.getState(), 'connected');
+	t.strictEqual(rejections.length, 0);
+	sched.runImmediates();
+
+	t.deepEqual(rejections.map(function (info) {
+		return ([info.from, info.to, info.payload,
+		    info.error.message]);
+	}), [
+		['connected', 'reconnect', undefined, 'FSM Class transition ' +
+		    'connected => reconnect was refused by guard ' +
+		    'retriesRemain'],
+		['connected', 'failed', 'transient', 'FSM Class transition ' +
+		    'connected => failed was refused by guard']
+	]);
+
+	c.emit('fail', 'fatal');
+	t.strictEqual(c.getState(), 'failed');
+	t.deepEqual(payloads, ['transient', 'fatal']);
+	t.end();
+});
+
+test('guards are inherited by subclasses', function (t) {
+	var Class = makeClass();
+	function Sub() {
+		Class.call(this);
+	}
+	util.inherits(Sub, Class);
+	var subFails = 0;
+	FSM.defineGuard(Sub, 'connected', 'failed', function () {
+		subFails++;
+		return (false);
+	});
+
+	var s = new Sub();
+	s.retries = 0;
+	t.throws(function () {
+		s.emit('drop');
+	}, /refused by guard retriesRemain/);
+	t.throws(function () {
+		s.emit('fail');
+	}, /connected => failed was refused/);
+	t.strictEqual(subFails, 1);
+
+	/* The subclass's guard does not apply to the parent class. */
+	var c = new Class();
+	c.emit('fail');
+	t.strictEqual(c.getState(), 'failed');
+	t.end();
+});
+
+test('guards apply to sub-states of the state they leave', function (t) {
+	var Class = makeClass();
+	Class.prototype.state_connected.idle = function (S) {
+		S.gotoStateOn(this, 'kick', 'reconnect');
+	};
+
+	var c = new Class();
+	c.retries = 0;
+	c._gotoState('connected.idle');
+	t.throws(function () {
+		c.emit('kick');
+	}, /connected\.idle => reconnect was refused by guard retriesRemain/);
+	t.strictEqual(c.getState(), 'connected.idle');
+
+	c.retries = 1;
+	c.emit('kick');
+	t.strictEqual(c.retries, 0);
+	t.strictEqual(c.getState(), 'connected');
+	t.end();
+});
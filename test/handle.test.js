@@ -0,0 +1,180 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+test('signal is aborted on state exit', function (t) {
+	if (typeof (AbortController) !== 'function') {
+		t.skip('AbortController is not supported by this node version');
+		t.end();
+		return;
+	}
+	var signals = {};
+
+	var Class = function () {
+		FSM.call(this, 'initial');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_initial = function (S) {
+		signals.initial = S.signal();
+		t.strictEqual(S.signal(), signals.initial);
+		S.gotoStateOn(this, 'foo', 'initial.sub1');
+		S.gotoStateOn(this, 'bar', 'next');
+	};
+	Class.prototype.state_initial.sub1 = function (S) {
+		signals.sub1 = S.signal();
+		S.gotoStateOn(this, 'baz', 'initial.sub2');
+	};
+	Class.prototype.state_initial.sub2 = function (S) {
+		signals.sub2 = S.signal();
+	};
+	Class.prototype.state_next = function (S) {
+		S.gotoState('next2');
+		t.throws(function () {
+			S.signal();
+		}, /already called gotoState/);
+	};
+	Class.prototype.state_next2 = function (S) {
+	};
+
+	var c = new Class();
+	t.ok(!signals.initial.aborted);
+
+	c.emit('foo');
+	t.ok(!signals.initial.aborted);
+	t.ok(!signals.sub1.aborted);
+
+	var aborted = false;
+	signals.sub1.addEventListener('abort', function () {
+		aborted = true;
+	});
+	c.emit('baz');
+	t.ok(aborted);
+	t.ok(signals.sub1.aborted);
+	t.ok(!signals.initial.aborted);
+
+	c.emit('bar');
+	t.ok(signals.sub2.aborted);
+	t.ok(signals.initial.aborted);
+	t.strictEqual(c.getState(), 'next2');
+	t.end();
+});
+
+test('cleanup functions run in reverse order on exit', function (t) {
+	var order = [];
+
+	var Class = function () {
+		FSM.call(this, 'initial');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_initial = function (S) {
+		var self = this;
+		S.cleanup(function () {
+			t.strictEqual(this, self);
+			order.push('parent');
+		});
+		S.gotoStateOn(this, 'foo', 'initial.sub');
+		S.gotoStateOn(this, 'bar', 'next');
+	};
+	Class.prototype.state_initial.sub = function (S) {
+		S.cleanup(function () {
+			order.push('first');
+		});
+		S.cleanup(function () {
+			order.push('second');
+		});
+	};
+	Class.prototype.state_next = function (S) {
+	};
+
+	var c = new Class();
+	c.emit('foo');
+	t.deepEqual(order, []);
+	c.emit('bar');
+	t.deepEqual(order, ['second', 'first', 'parent']);
+	t.end();
+});
+
+test('cleanup errors are emitted after the transition', function (t) {
+	var ran = false;
+
+	var Class = function () {
+		FSM.call(this, 'initial');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_initial = function (S) {
+		S.cleanup(function () {
+			ran = true;
+		});
+		S.cleanup(function () {
+			throw (new Error('cleanup failed'));
+		});
+		S.gotoStateOn(this, 'foo', 'next');
+	};
+	Class.prototype.state_next = function (S) {
+	};
+
+	var c = new Class();
+	c.on('error', function (err) {
+		t.strictEqual(err.message, 'cleanup failed');
+		t.ok(c.isInState('next'));
+		t.end();
+	});
+	c.emit('foo');
+	t.ok(ran);
+	t.ok(c.isInState('next'));
+});
+
+test('cleanup errors go to the error state', function (t) {
+	var sched = new VirtualScheduler();
+	var errors = [];
+
+	var Class = function () {
+		FSM.call(this, 'initial', {
+			scheduler: sched,
+			errorState: 'failed'
+		});
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_initial = function (S) {
+		S.cleanup(function () {
+			throw (new Error('cleanup failed'));
+		});
+		S.gotoStateOn(this, 'foo', 'next');
+	};
+	Class.prototype.state_next = function (S) {
+	};
+	Class.prototype.state_failed = function (S, err) {
+		errors.push(err.message);
+		S.cleanup(function () {
+			throw (new Error('failed again'));
+		});
+		S.gotoStateOn(this, 'retry', 'initial');
+	};
+
+	var c = new Class();
+	c.emit('foo');
+	t.ok(c.isInState('next'));
+	sched.runImmediates();
+	t.ok(c.isInState('failed'));
+	t.deepEqual(errors, ['cleanup failed']);
+	t.strictEqual(c.getLastError().message, 'cleanup failed');
+
+	/* Errors from the error state's own cleanup are still thrown. */
+	c.emit('retry');
+	t.throws(function () {
+		sched.runImmediates();
+	}, /failed again/);
+	t.ok(c.isInState('initial'));
+	t.end();
+});
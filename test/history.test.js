@@ -0,0 +1,143 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function makeClass(options) {
+	var Class = function () {
+		FSM.call(this, 's1', options);
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_s1 = function (S) {
+		S.gotoStateOn(this, 'foo', 's2');
+	};
+	Class.prototype.state_s2 = function (S) {
+		S.gotoStateTimeout(20, 's3');
+		S.gotoStateOn(this, 'bar', 's3');
+	};
+	Class.prototype.state_s3 = function (S) {
+		S.on(this, 'foo', function () {
+			S.gotoState('s1');
+		});
+	};
+	return (Class);
+}
+
+function getState(h) {
+	return (h.state);
+}
+
+test('history records previous state, durations and causes', function (t) {
+	var Class = makeClass();
+	var c = new Class();
+
+	var h = c.getHistory();
+	t.strictEqual(h.length, 1);
+	t.strictEqual(h[0].state, 's1');
+	t.strictEqual(h[0].previous, undefined);
+	t.ok(h[0].enteredAt instanceof Date);
+	t.strictEqual(h[0].exitedAt, undefined);
+	t.strictEqual(h[0].duration, undefined);
+	t.strictEqual(h[0].exitCause, undefined);
+
+	c.emit('foo');
+	setTimeout(function () {
+		c.emit('foo');
+
+		h = c.getHistory();
+		t.deepEqual(h.map(getState), ['s1', 's2', 's3', 's1']);
+		t.deepEqual(h[0].exitCause,
+		    { method: 'gotoStateOn', event: 'foo' });
+		t.deepEqual(h[1].exitCause,
+		    { method: 'gotoStateTimeout', timeout: 20 });
+		t.deepEqual(h[2].exitCause, { method: 'gotoState' });
+		t.strictEqual(h[1].previous, 's1');
+		t.strictEqual(h[3].previous, 's3');
+		t.ok(h[1].duration >= 15, 'time spent in s2');
+		t.strictEqual(h[1].exitedAt, h[2].enteredAt);
+		t.strictEqual(h[1].duration,
+		    h[1].exitedAt.getTime() - h[1].enteredAt.getTime());
+		t.end();
+	}, 50);
+});
+
+test('history depth is configurable', function (t) {
+	var c = new (makeClass())();
+	var i;
+	for (i = 0; i < 10; ++i) {
+		c.emit('foo');
+		c.emit('bar');
+		c.emit('foo');
+	}
+	t.strictEqual(c.getHistory().length, 7);
+	t.strictEqual(c.getHistory()[6].state, 's1');
+
+	c = new (makeClass({ historyDepth: Infinity }))();
+	for (i = 0; i < 10; ++i) {
+		c.emit('foo');
+		c.emit('bar');
+		c.emit('foo');
+	}
+	t.strictEqual(c.getHistory().length, 31);
+
+	c = new (makeClass({ historyDepth: 0 }))();
+	c.emit('foo');
+	t.deepEqual(c.getHistory(), []);
+	t.strictEqual(c.getState(), 's2');
+	c.emit('bar');
+	t.end();
+});
+
+test('transition events', function (t) {
+	var sched = new VirtualScheduler(1000);
+	var Class = makeClass({ scheduler: sched });
+	var c = new Class();
+	var events = [];
+	var changed = [];
+	c.on('transition', function (info) {
+		events.push(info);
+	});
+	c.on('stateChanged', function (st) {
+		changed.push(st);
+	});
+
+	sched.advance(5);
+	c.emit('foo');
+	sched.advance(20);
+	/* s3 => s1 => s2 happen together, before any events are emitted. */
+	c.emit('foo');
+	c.emit('foo');
+	t.strictEqual(events.length, 3);
+	sched.runImmediates();
+
+	t.deepEqual(changed, ['s1', 's2', 's3', 's1', 's2']);
+	t.deepEqual(events.map(function (info) {
+		return ([info.from, info.to, info.timestamp.getTime(),
+		    info.elapsed]);
+	}), [
+		[undefined, 's1', 1000, undefined],
+		['s1', 's2', 1005, 5],
+		['s2', 's3', 1025, 20],
+		['s3', 's1', 1025, 0],
+		['s1', 's2', 1025, 0]
+	]);
+	t.strictEqual(events[0].trigger, undefined);
+	t.deepEqual(events[2].trigger,
+	    { method: 'gotoStateTimeout', timeout: 20 });
+	t.deepEqual(events[3].trigger, { method: 'gotoState' });
+	events.forEach(function (info) {
+		t.strictEqual(info.id, c.fsm_id);
+		t.strictEqual(info.className, 'Class');
+	});
+	t.end();
+});
@@ -0,0 +1,300 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function DoorFSM(sched, opts) {
+	this.df_log = [];
+	if (opts === undefined)
+		opts = {};
+	opts.scheduler = sched;
+	FSM.call(this, 'closed', opts);
+}
+util.inherits(DoorFSM, FSM);
+DoorFSM.prototype.state_closed = function (S) {
+	S.inputs({
+		open: 'open',
+		lock: 'closed.locked',
+		knock: function (S2, who) {
+			this.df_log.push('knock from ' + who);
+		}
+	});
+};
+DoorFSM.prototype.state_closed.locked = function (S) {
+	var self = this;
+	S.inputs({
+		open: function () {
+			self.df_log.push('locked');
+		},
+		unlock: 'closed'
+	});
+};
+DoorFSM.prototype.state_open = function (S, who) {
+	this.df_log.push('opened by ' + who);
+	S.inputs({
+		close: 'closed',
+		slam: 'closing'
+	});
+};
+DoorFSM.prototype.state_closing = function (S) {
+	/* Sent while in transition, so handled once we are in "closed". */
+	this.send('knock', 'echo');
+	S.gotoState('closed');
+};
+
+test('inputs are handled by the current state', function (t) {
+	var sched = new VirtualScheduler();
+	var d = new DoorFSM(sched);
+
+	d.send('knock', 'alice');
+	d.send('open', 'bob');
+	t.strictEqual(d.getState(), 'open');
+	d.send('slam');
+	t.strictEqual(d.getState(), 'closed');
+	t.deepEqual(d.df_log, ['knock from alice', 'opened by bob',
+	    'knock from echo']);
+
+	var h = d.getHistory();
+	t.deepEqual(h[0].exitCause, { method: 'send', event: 'open' });
+	t.deepEqual(h[1].exitCause, { method: 'send', event: 'slam' });
+	t.end();
+});
+
+test('sub-states inherit and override inputs', function (t) {
+	var sched = new VirtualScheduler();
+	var d = new DoorFSM(sched);
+
+	d.send('lock');
+	t.strictEqual(d.getState(), 'closed.locked');
+	d.send('open', 'bob');
+	t.strictEqual(d.getState(), 'closed.locked');
+	d.send('knock', 'carol');
+	d.send('unlock');
+	d.send('open', 'dave');
+	t.strictEqual(d.getState(), 'open');
+	t.deepEqual(d.df_log, ['locked', 'knock from carol',
+	    'opened by dave']);
+	t.end();
+});
+
+test('unhandled inputs throw by default', function (t) {
+	var sched = new VirtualScheduler();
+	var d = new DoorFSM(sched);
+	var unhandled = [];
+	d.on('unhandledEvent', function (info) {
+		unhandled.push(info);
+	});
+
+	t.throws(function () {
+		d.send('close', 1);
+	}, /received event close in state\(s\) closed, which do not handle/);
+	t.strictEqual(d.getState(), 'closed');
+	t.throws(function () {
+		d.send(1);
+	}, /event/);
+	sched.runImmediates();
+	t.deepEqual(unhandled, [ {
+		event: 'close',
+		args: [1],
+		states: ['closed'],
+		policy: 'throw'
+	} ]);
+	t.end();
+});
+
+test('unhandled input policies', function (t) {
+	var sched = new VirtualScheduler();
+	var d = new DoorFSM(sched, { unhandledEvent: 'ignore' });
+	d.send('close');
+	d.send('open', 'bob');
+	t.strictEqual(d.getState(), 'open');
+	d.send('open', 'carol');
+	t.deepEqual(d.df_log, ['opened by bob']);
+
+	var seen = [];
+	d = new DoorFSM(sched, {
+		unhandledEvent: function (evt, arg) {
+			seen.push([this.getState(), evt, arg]);
+		}
+	});
+	d.send('close', 'x');
+	t.deepEqual(seen, [ ['closed', 'close', 'x'] ]);
+
+	d = new DoorFSM(sched, { unhandledEvent: 'queue' });
+	var unhandled = [];
+	d.on('unhandledEvent', function (info) {
+		unhandled.push(info.event + ' ' + info.policy);
+	});
+	d.send('slam');
+	d.send('close');
+	d.send('knock', 'alice');
+	t.deepEqual(d.df_log, ['knock from alice']);
+	/* Held inputs are handled in order once a state handles them. */
+	d.send('open', 'bob');
+	t.strictEqual(d.getState(), 'closed');
+	t.deepEqual(d.df_log, ['knock from alice', 'opened by bob',
+	    'knock from echo']);
+	sched.runImmediates();
+	t.deepEqual(unhandled, ['slam queue', 'close queue']);
+
+	t.throws(function () {
+		d = new DoorFSM(sched, { unhandledEvent: 'drop' });
+	}, /Invalid FSM unhandledEvent policy "drop"/);
+	t.end();
+});
+
+function LampFSM(sched) {
+	FSM.call(this, 'off', {
+		scheduler: sched,
+		regions: { timer: 'timer:idle' },
+		terminal: ['broken']
+	});
+}
+util.inherits(LampFSM, FSM);
+LampFSM.prototype.state_off = function (S) {
+	S.inputs({ press: 'on', kick: 'broken' });
+};
+LampFSM.prototype.state_on = function (S) {
+	S.inputs({ press: 'off', kick: 'broken' });
+};
+LampFSM.prototype.state_broken = function (S) {
+};
+LampFSM.prototype['state_timer:idle'] = function (S) {
+	S.inputs({ press: 'timer:running', kick: 'timer:idle' });
+};
+LampFSM.prototype['state_timer:running'] = function (S) {
+	S.gotoStateTimeout(1000, 'timer:idle');
+};
+
+test('inputs are delivered to every region which handles them', function (t) {
+	var sched = new VirtualScheduler();
+	var l = new LampFSM(sched);
+
+	l.send('press');
+	t.deepEqual(l.getStates(), ['on', 'timer:running']);
+	l.send('press');
+	t.deepEqual(l.getStates(), ['off', 'timer:running']);
+	sched.advance(1000);
+	t.deepEqual(l.getStates(), ['off', 'timer:idle']);
+
+	/* Finishing in the main region stops delivery to the others. */
+	l.send('kick');
+	t.ok(l.isFinished());
+	t.deepEqual(l.getStates(), ['broken', 'timer:idle']);
+	t.throws(function () {
+		l.send('press');
+	}, /attempted to send event press after it finished in terminal /);
+	t.end();
+});
+
+function TickFSM(sched) {
+	this.tf_log = [];
+	FSM.call(this, 'a', {
+		scheduler: sched,
+		regions: { r: 'r:idle' }
+	});
+}
+util.inherits(TickFSM, FSM);
+TickFSM.prototype.state_a = function (S) {
+	S.inputs({
+		tick: 'b',
+		burst: 'bursting',
+		go: 'sending',
+		poke: 'poked'
+	});
+};
+TickFSM.prototype.state_b = function (S) {
+	S.inputs({ tick: 'a' });
+};
+TickFSM.prototype.state_bursting = function (S) {
+	for (var i = 0; i < 20000; ++i)
+		this.send('tick');
+	S.gotoState('a');
+};
+TickFSM.prototype.state_sending = function (S) {
+	/* Both sent while in transition. */
+	this.send('one');
+	this.send('two');
+	S.inputs({ one: 'a' });
+};
+TickFSM.prototype.state_poked = function (S) {
+	this.send('stray');
+};
+TickFSM.prototype['state_r:idle'] = function (S) {
+	var self = this;
+	S.inputs({
+		one: function () {
+			self.tf_log.push('one');
+		},
+		two: function () {
+			self.tf_log.push('two');
+		}
+	});
+};
+
+test('inputs are drained from the outermost send()', function (t) {
+	var sched = new VirtualScheduler();
+	var f = new TickFSM(sched);
+
+	/* Handling each input doesn't grow the stack. */
+	f.send('burst');
+	t.strictEqual(f.getState(), 'a');
+
+	/* Every region sees inputs in the order they were sent. */
+	f = new TickFSM(sched);
+	f.send('go');
+	t.deepEqual(f.tf_log, ['one', 'two']);
+	t.strictEqual(f.getState(), 'a');
+
+	/* Unhandled inputs throw to the caller, not an earlier handler. */
+	t.throws(function () {
+		f.send('poke');
+	}, /received event stray in state\(s\) poked, r:idle/);
+	t.strictEqual(f.getLastError(), undefined);
+	t.end();
+});
+
+test('unhandled inputs do not strand those sent after them', function (t) {
+	var sched = new VirtualScheduler();
+	var log = [];
+	function Relay() {
+		FSM.call(this, 'idle', { scheduler: sched });
+	}
+	util.inherits(Relay, FSM);
+	Relay.prototype.state_idle = function (S) {
+		var self = this;
+		S.inputs({
+			first: function () {
+				self.send('bogus');
+				self.send('second');
+				self.send('worse');
+			},
+			second: function () {
+				log.push('second');
+			},
+			third: function () {
+				log.push('third');
+			}
+		});
+	};
+
+	var r = new Relay();
+	t.throws(function () {
+		r.send('first');
+	}, /received event bogus in state\(s\) idle/);
+	t.deepEqual(log, ['second']);
+	t.deepEqual(r.fsm_inputs, []);
+	r.send('third');
+	t.deepEqual(log, ['second', 'third']);
+	t.end();
+});
@@ -0,0 +1,176 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var Metrics = require('../lib/metrics').Metrics;
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function ConnFSM(sched, snap) {
+	FSM.call(this, 'connecting', { scheduler: sched, restore: snap });
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_connecting = function (S) {
+	S.gotoStateOn(this, 'connect', 'connected');
+	S.gotoStateTimeout(1000, 'failed');
+};
+ConnFSM.prototype.state_connected = function (S) {
+	S.gotoStateOn(this, 'close', 'connecting');
+};
+ConnFSM.prototype.reenter_connected = ConnFSM.prototype.state_connected;
+ConnFSM.prototype.state_failed = function (S) {
+};
+
+test('metrics collection', function (t) {
+	var sched = new VirtualScheduler();
+	var m = new Metrics({ buckets: [0.1, 1, 10] });
+	FSM.addTracer(m);
+	var a = new ConnFSM(sched);
+	var b = new ConnFSM(sched);
+	var c = new ConnFSM(sched);
+	sched.advance(50);
+	a.emit('connect');
+	sched.advance(2000);
+	a.emit('close');
+	c.destroy();
+	FSM.removeTracer(m);
+
+	var obj = m.toObject();
+	t.deepEqual(obj.instances, [
+		{ className: 'ConnFSM', state: 'connected', value: 0 },
+		{ className: 'ConnFSM', state: 'connecting', value: 1 },
+		{ className: 'ConnFSM', state: 'failed', value: 1 }
+	]);
+	t.deepEqual(obj.transitions, [
+		{ className: 'ConnFSM', from: undefined, to: 'connecting',
+		    value: 3 },
+		{ className: 'ConnFSM', from: 'connected', to: 'connecting',
+		    value: 1 },
+		{ className: 'ConnFSM', from: 'connecting', to: 'connected',
+		    value: 1 },
+		{ className: 'ConnFSM', from: 'connecting', to: 'failed',
+		    value: 2 }
+	]);
+	t.deepEqual(obj.durations, [
+		{ className: 'ConnFSM', state: 'connected', count: 1, sum: 2,
+		    buckets: [
+			{ le: 0.1, count: 0 },
+			{ le: 1, count: 0 },
+			{ le: 10, count: 1 }
+		    ] },
+		{ className: 'ConnFSM', state: 'connecting', count: 3,
+		    sum: 2.05, buckets: [
+			{ le: 0.1, count: 1 },
+			{ le: 1, count: 3 },
+			{ le: 10, count: 3 }
+		    ] }
+	]);
+
+	t.strictEqual(m.toPrometheus(), [
+		'# HELP mooremachine_fsm_instances Number of live FSM ' +
+		    'instances in each state.',
+		'# TYPE mooremachine_fsm_instances gauge',
+		'mooremachine_fsm_instances{class="ConnFSM",' +
+		    'state="connected"} 0',
+		'mooremachine_fsm_instances{class="ConnFSM",' +
+		    'state="connecting"} 1',
+		'mooremachine_fsm_instances{class="ConnFSM",' +
+		    'state="failed"} 1',
+		'# HELP mooremachine_fsm_transitions_total Number of FSM ' +
+		    'transitions taken along each edge.',
+		'# TYPE mooremachine_fsm_transitions_total counter',
+		'mooremachine_fsm_transitions_total{class="ConnFSM",from="",' +
+		    'to="connecting"} 3',
+		'mooremachine_fsm_transitions_total{class="ConnFSM",' +
+		    'from="connected",to="connecting"} 1',
+		'mooremachine_fsm_transitions_total{class="ConnFSM",' +
+		    'from="connecting",to="connected"} 1',
+		'mooremachine_fsm_transitions_total{class="ConnFSM",' +
+		    'from="connecting",to="failed"} 2',
+		'# HELP mooremachine_fsm_state_duration_seconds Time spent ' +
+		    'in each FSM state.',
+		'# TYPE mooremachine_fsm_state_duration_seconds histogram',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connected",le="0.1"} 0',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connected",le="1"} 0',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connected",le="10"} 1',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connected",le="+Inf"} 1',
+		'mooremachine_fsm_state_duration_seconds_sum{' +
+		    'class="ConnFSM",state="connected"} 2',
+		'mooremachine_fsm_state_duration_seconds_count{' +
+		    'class="ConnFSM",state="connected"} 1',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connecting",le="0.1"} 1',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connecting",le="1"} 3',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connecting",le="10"} 3',
+		'mooremachine_fsm_state_duration_seconds_bucket{' +
+		    'class="ConnFSM",state="connecting",le="+Inf"} 3',
+		'mooremachine_fsm_state_duration_seconds_sum{' +
+		    'class="ConnFSM",state="connecting"} 2.05',
+		'mooremachine_fsm_state_duration_seconds_count{' +
+		    'class="ConnFSM",state="connecting"} 3',
+		''
+	].join('\n'));
+	t.end();
+});
+
+test('metrics for FSMs created before registration', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched);
+	var m = new Metrics({ prefix: 'svc' });
+	FSM.addTracer(m);
+	c.emit('connect');
+	FSM.removeTracer(m);
+
+	t.deepEqual(m.toObject().instances, [
+		{ className: 'ConnFSM', state: 'connected', value: 1 }
+	]);
+	t.ok(m.toPrometheus().indexOf('svc_fsm_instances{class="ConnFSM",' +
+	    'state="connected"} 1\n') !== -1);
+	t.throws(function () {
+		new Metrics({ buckets: [1, 0.5] });
+	}, /increasing order/);
+	t.end();
+});
+
+test('metrics for FSMs restored from snapshots', function (t) {
+	var sched = new VirtualScheduler();
+	var a = new ConnFSM(sched);
+	a.emit('connect');
+	var snap = a.snapshot();
+
+	var m = new Metrics();
+	FSM.addTracer(m);
+	var b = new ConnFSM(sched, snap);
+	t.deepEqual(m.toObject().instances, [
+		{ className: 'ConnFSM', state: 'connected', value: 1 }
+	]);
+	b.emit('close');
+	FSM.removeTracer(m);
+
+	var obj = m.toObject();
+	t.deepEqual(obj.instances, [
+		{ className: 'ConnFSM', state: 'connected', value: 0 },
+		{ className: 'ConnFSM', state: 'connecting', value: 1 }
+	]);
+	t.deepEqual(obj.transitions, [
+		{ className: 'ConnFSM', from: undefined, to: 'connected',
+		    value: 1 },
+		{ className: 'ConnFSM', from: 'connected', to: 'connecting',
+		    value: 1 }
+	]);
+	t.end();
+});
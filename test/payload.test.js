@@ -0,0 +1,114 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function ConnFSM(sched) {
+	this.cf_seen = [];
+	FSM.call(this, 'connecting', { scheduler: sched });
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_connecting = function (S) {
+	S.gotoStateOn(this, 'connect', 'connected');
+	S.gotoStateOn(this, 'error', 'error');
+	S.gotoStateTimeout(1000, 'error', new Error('timed out'), 1000);
+};
+ConnFSM.prototype.state_connected = function (S, sock, extra) {
+	this.cf_seen.push(['connected', sock, extra]);
+	S.gotoStateOn(this, 'close', 'closing');
+	S.on(this, 'shutdown', function (why) {
+		S.gotoState('closing', why);
+	});
+};
+ConnFSM.prototype.state_closing = function (S, why) {
+	this.cf_seen.push(['closing', why]);
+	/* Goes through the deferred path for double transitions. */
+	S.gotoState('closing.draining', why, 'now');
+};
+ConnFSM.prototype.state_closing.draining = function (S, why, when) {
+	this.cf_seen.push(['draining', why, when]);
+	S.gotoStateOn(this, 'drained', 'connecting');
+};
+ConnFSM.prototype.state_error = function (S, err, ms) {
+	this.cf_seen.push(['error', err.message, ms]);
+	S.gotoStateOnPromise(this.cf_retry, 'connecting', 'failed');
+};
+ConnFSM.prototype.state_failed = function (S, err) {
+	this.cf_seen.push(['failed', err.message]);
+};
+
+test('payloads are passed to entry functions', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched);
+	var sock = {};
+
+	c.emit('connect', sock, 42);
+	c.emit('close', 'remote');
+	c.emit('drained');
+	t.strictEqual(c.getState(), 'connecting');
+	c.emit('connect', sock);
+	c.emit('shutdown', 'local');
+	t.strictEqual(c.getState(), 'closing.draining');
+
+	t.deepEqual(c.cf_seen, [
+		['connected', sock, 42],
+		['closing', 'remote'],
+		['draining', 'remote', 'now'],
+		['connected', sock, undefined],
+		['closing', 'local'],
+		['draining', 'local', 'now']
+	]);
+	t.end();
+});
+
+test('timeout and promise payloads', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched);
+	c.cf_retry = Promise.reject(new Error('no route'));
+	sched.advance(1000);
+	t.deepEqual(c.cf_seen, [
+		['error', 'timed out', 1000]
+	]);
+	setImmediate(function () {
+		t.strictEqual(c.getState(), 'failed');
+		t.deepEqual(c.cf_seen[1], ['failed', 'no route']);
+		t.end();
+	});
+});
+
+test('guards see event arguments', function (t) {
+	function Guarded() {
+		ConnFSM.call(this);
+	}
+	util.inherits(Guarded, ConnFSM);
+	FSM.defineGuard(Guarded, 'connecting', 'connected',
+	    function (fsm, sock) {
+		return (sock !== undefined);
+	});
+
+	var c = new Guarded();
+	var rejected;
+	c.on('transitionRejected', function (info) {
+		rejected = info;
+	});
+	c.emit('connect');
+	t.strictEqual(c.getState(), 'connecting');
+	c.emit('connect', 'sock', 1);
+	t.strictEqual(c.getState(), 'connected');
+	setImmediate(function () {
+		t.strictEqual(rejected.payload, undefined);
+		t.deepEqual(rejected.args, []);
+		c.destroy();
+		t.end();
+	});
+});
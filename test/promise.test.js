@@ -0,0 +1,230 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function deferred() {
+	var d = {};
+	d.promise = new Promise(function (resolve, reject) {
+		d.resolve = resolve;
+		d.reject = reject;
+	});
+	return (d);
+}
+
+test('gotoStateOnPromise', function (t) {
+	var d;
+	var Class = function () {
+		FSM.call(this, 'waiting', { errorState: 'failed' });
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_waiting = function (S) {
+		d = deferred();
+		S.gotoStateOnPromise(d.promise, 'done', 'failed');
+		S.gotoStateOn(this, 'skip', 'skipped');
+	};
+	Class.prototype.state_done = function (S) {
+		S.gotoStateOn(this, 'again', 'waiting');
+	};
+	Class.prototype.state_failed = function (S) {
+		S.gotoStateOn(this, 'again', 'waiting');
+	};
+	Class.prototype.state_skipped = function (S) {
+		S.gotoStateOn(this, 'again', 'waiting');
+	};
+
+	var c = new Class();
+	d.resolve(1);
+	c.waitForState('done').then(function (st) {
+		t.strictEqual(st, 'done');
+		t.strictEqual(c.getHistory()[0].exitCause.settled, 'resolved');
+		c.emit('again');
+		d.reject(new Error('boom'));
+		return (c.waitForState('done'));
+	}).then(function () {
+		t.fail('should not have resolved');
+	}, function (err) {
+		t.ok(err.message.match(/entered error state failed/));
+		t.ok(c.isInState('failed'));
+
+		/* Settlement after leaving the state is dropped. */
+		c.emit('again');
+		c.emit('skip');
+		d.resolve(2);
+		return (d.promise);
+	}).then(function () {
+		setImmediate(function () {
+			t.ok(c.isInState('skipped'));
+			t.end();
+		});
+	});
+});
+
+test('gotoStateOnPromise with a falsy rejection', function (t) {
+	var reason;
+	var Class = function () {
+		FSM.call(this, 'waiting');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_waiting = function (S) {
+		S.gotoStateOnPromise(Promise.reject(0), 'done', 'failed');
+	};
+	Class.prototype.state_done = function (S) {
+	};
+	Class.prototype.state_failed = function (S, err) {
+		reason = err;
+	};
+
+	var c = new Class();
+	c.waitForState('failed').then(function () {
+		t.strictEqual(reason, 0);
+		t.strictEqual(c.getHistory()[0].exitCause.settled, 'rejected');
+		t.end();
+	});
+});
+
+test('promise() with an async function', function (t) {
+	var results = [];
+	var Class = function () {
+		FSM.call(this, 's1');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_s1 = function (S) {
+		S.promise(function () {
+			return (Promise.resolve('value'));
+		}, function (err, val) {
+			results.push([err, val]);
+			S.gotoState('s2');
+		});
+	};
+	Class.prototype.state_s2 = function (S) {
+		S.promise(function () {
+			throw (new Error('sync'));
+		}, function (err) {
+			results.push([err.message]);
+			S.gotoState('s3');
+		});
+	};
+	Class.prototype.state_s3 = function (S) {
+		S.validTransitions([]);
+	};
+
+	var c = new Class();
+	c.waitForState('s3').then(function () {
+		t.deepEqual(results, [ [null, 'value'], ['sync'] ]);
+		t.end();
+	});
+});
+
+test('promise() callback exceptions are not unhandled rejections',
+    function (t) {
+	var sched = new VirtualScheduler();
+	var rejections = [];
+	function onRejection(err) {
+		rejections.push(err);
+	}
+	var Class = function () {
+		FSM.call(this, 's1', { scheduler: sched });
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_s1 = function (S) {
+		S.validTransitions(['s2']);
+		S.promise(Promise.resolve(), function () {
+			S.gotoState('s3');
+		});
+	};
+	Class.prototype.state_s2 = function (S) {
+	};
+	Class.prototype.state_s3 = function (S) {
+	};
+
+	process.on('unhandledRejection', onRejection);
+	var c = new Class();
+	setImmediate(function () {
+		process.removeListener('unhandledRejection', onRejection);
+		t.deepEqual(rejections, []);
+		t.throws(function () {
+			sched.runImmediates();
+		}, /Invalid FSM transition: s1 => s3/);
+		t.strictEqual(c.getState(), 's1');
+		t.end();
+	});
+});
+
+test('waitForState matches sub-states', function (t) {
+	var Class = function () {
+		FSM.call(this, 's1');
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_s1 = function (S) {
+		S.gotoStateOn(this, 'foo', 's2.sub');
+	};
+	Class.prototype.state_s2 = function (S) {
+	};
+	Class.prototype.state_s2.sub = function (S) {
+	};
+
+	var c = new Class();
+	c.waitForState('s2').then(function (st) {
+		t.strictEqual(st, 's2.sub');
+		t.strictEqual(c.listeners('stateChanged').length, 0);
+		t.end();
+	});
+	c.emit('foo');
+});
+
+test('waitForState is rejected on destroy', function (t) {
+	var sched = new VirtualScheduler();
+	var results = [];
+	var Class = function () {
+		FSM.call(this, 's1', { scheduler: sched });
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_s1 = function (S) {
+		S.gotoStateOn(this, 'foo', 's2');
+	};
+	Class.prototype.state_s2 = function (S) {
+		S.gotoStateOn(this, 'foo', 's1');
+	};
+
+	function record(p) {
+		return (p.then(function (s) {
+			results.push('resolved ' + s);
+		}, function (err) {
+			results.push(err.message);
+		}));
+	}
+
+	var c = new Class();
+	var ps = [
+		record(c.waitForState('s2')),
+		record(c.waitForState('s3'))
+	];
+	/* The transition to s2 happens before destroy(), so still counts. */
+	c.emit('foo');
+	c.destroy();
+	ps.push(record(c.waitForState('s1')));
+	sched.runImmediates();
+	t.strictEqual(c.listeners('stateChanged').length, 0);
+	t.deepEqual(c.fsm_waiters, []);
+
+	Promise.all(ps).then(function () {
+		t.deepEqual(results.sort(), [
+		    'FSM Class (' + c.fsm_id + ') attempted to wait for ' +
+		    'state s1 after it was destroyed',
+		    'FSM Class was destroyed while waiting for state s3',
+		    'resolved s2'
+		]);
+		t.end();
+	});
+});
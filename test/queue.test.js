@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var TransitionRecorder = require('../lib/testing').TransitionRecorder;
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function LinkFSM(sched) {
+	this.lf_log = [];
+	FSM.call(this, 'down', {
+		scheduler: sched,
+		regions: { led: 'led:off' }
+	});
+}
+util.inherits(LinkFSM, FSM);
+LinkFSM.prototype.state_down = function (S) {
+	S.gotoStateOn(this, 'plug', 'up');
+};
+LinkFSM.prototype.state_up = function (S) {
+	this.lf_log.push('enter up');
+	/* Both of these are requested while we're in transition. */
+	S.gotoState('up.idle');
+	this.emit('linkUp');
+	this.lf_log.push('leave up');
+};
+LinkFSM.prototype.state_up.idle = function (S) {
+	this.lf_log.push('enter up.idle');
+};
+LinkFSM.prototype['state_led:off'] = function (S) {
+	S.gotoStateOn(this, 'linkUp', 'led:on');
+};
+LinkFSM.prototype['state_led:on'] = function (S) {
+	this.lf_log.push('enter led:on');
+};
+
+test('nested transitions are queued and run to completion', function (t) {
+	var sched = new VirtualScheduler();
+	var l = new LinkFSM(sched);
+	var rec = new TransitionRecorder(l);
+
+	l.emit('plug');
+	rec.assertSequence(t, ['up', 'up.idle', 'led:on']);
+	t.deepEqual(l.lf_log, ['enter up', 'leave up', 'enter up.idle',
+	    'enter led:on']);
+	t.deepEqual(l.getStates(), ['up.idle', 'led:on']);
+	t.end();
+});
+
+function ConnFSM(sched, events) {
+	this.cf_events = events;
+	FSM.call(this, 'connected', { scheduler: sched });
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_connected = function (S) {
+	S.gotoStateOn(this, 'close', 'closed');
+	S.gotoState('connected.idle');
+};
+ConnFSM.prototype.state_connected.idle = function (S) {
+	S.gotoStateOn(this, 'work', 'connected.busy');
+	/* Both handles see these while we're still in transition. */
+	this.cf_events.forEach(function (evt) {
+		this.emit(evt);
+	}, this);
+};
+ConnFSM.prototype.state_connected.busy = function (S) {
+};
+ConnFSM.prototype.state_closed = function (S) {
+};
+
+test('queued transitions from disconnected handles are dropped',
+    function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnFSM(sched, ['work', 'close']);
+	t.deepEqual(c.getHistory().map(function (h) {
+		return (h.state);
+	}), ['connected', 'connected.idle', 'connected.busy', 'closed']);
+
+	/* Leaving "connected" disconnects the sub-state's handle, too. */
+	c = new ConnFSM(sched, ['close', 'work']);
+	t.deepEqual(c.getHistory().map(function (h) {
+		return (h.state);
+	}), ['connected', 'connected.idle', 'closed']);
+	t.end();
+});
+
+function PingFSM(opts) {
+	this.pf_count = 0;
+	FSM.call(this, 'idle', opts);
+}
+util.inherits(PingFSM, FSM);
+PingFSM.prototype.state_idle = function (S) {
+	S.gotoStateOn(this, 'start', 'ping');
+	S.gotoStateOn(this, 'count', 'counting');
+};
+PingFSM.prototype.state_ping = function (S) {
+	S.gotoState('pong');
+};
+PingFSM.prototype.state_pong = function (S) {
+	S.gotoState('ping');
+};
+PingFSM.prototype.state_counting = function (S) {
+	if (++this.pf_count < 999)
+		S.gotoState('counting');
+	else
+		S.gotoState('idle');
+};
+
+/* FSM ids are base64, so may contain "+" and "/". */
+function escapeRegExp(str) {
+	return (str.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&'));
+}
+
+test('infinite transition loops are detected', function (t) {
+	var p = new PingFSM({ maxTransitionChain: 10 });
+	t.throws(function () {
+		p.emit('start');
+	}, new RegExp('PingFSM \\(' + escapeRegExp(p.fsm_id) + '\\) ' +
+	    'exceeded the maximum transition chain length of 10 ' +
+	    '\\(possible infinite loop\\): idle => ping => pong => ping => ' +
+	    'pong => ping => pong => ping => pong => ping => pong => ping$'));
+	t.strictEqual(p.getState(), 'pong');
+	t.notOk(p.fsm_inTransition);
+	t.deepEqual(p.fsm_transitionQueue, []);
+
+	/* Long chains which do end are fine with the default limit. */
+	p = new PingFSM();
+	p.emit('count');
+	t.strictEqual(p.pf_count, 999);
+	t.strictEqual(p.getState(), 'idle');
+
+	/* Longer chains are abbreviated. */
+	p = new PingFSM({ maxTransitionChain: 20 });
+	t.throws(function () {
+		p.emit('start');
+	}, /loop\): \.\.\. => pong => ping => pong => ping => pong => /);
+
+	p = new PingFSM({ maxTransitionChain: 2 });
+	t.throws(function () {
+		p.emit('start');
+	}, /length of 2 \(possible infinite loop\): idle => ping => pong => p/);
+
+	t.throws(function () {
+		p = new PingFSM({ maxTransitionChain: '10' });
+	}, /maxTransitionChain/);
+	t.end();
+});
+
+function EchoFSM(opts) {
+	FSM.call(this, 'idle', opts);
+}
+util.inherits(EchoFSM, FSM);
+EchoFSM.prototype.state_idle = function (S) {
+	S.inputs({ go: 'a' });
+};
+EchoFSM.prototype.state_a = function (S) {
+	S.inputs({ go: 'b' });
+	this.send('go');
+};
+EchoFSM.prototype.state_b = function (S) {
+	S.inputs({ go: 'a' });
+	this.send('go');
+};
+
+test('loops through inputs are detected', function (t) {
+	var e = new EchoFSM({ maxTransitionChain: 50 });
+	t.throws(function () {
+		e.send('go');
+	}, /length of 50 \(possible infinite loop\): \.\.\.( => b => a){6}$/);
+	t.notOk(e.fsm_inTransition);
+	t.deepEqual(e.fsm_inputs, []);
+	t.strictEqual(e.getState(), 'b');
+	t.end();
+});
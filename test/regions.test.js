@@ -0,0 +1,158 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var test = require('tape').test;
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+function ConnFSM(checker) {
+	this.checker = checker;
+	FSM.call(this, 'idle', {
+		regions: { health: 'health:unknown' }
+	});
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_idle = function (S) {
+	S.gotoStateOn(this, 'connect', 'connected');
+};
+ConnFSM.prototype.state_connected = function (S) {
+	S.gotoStateOn(this, 'close', 'idle');
+	S.gotoState('connected.quiet');
+};
+ConnFSM.prototype.state_connected.quiet = function (S) {
+	S.gotoStateOn(this, 'busy', 'connected.busy');
+};
+ConnFSM.prototype.state_connected.busy = function (S) {
+};
+ConnFSM.prototype['state_health:unknown'] = function (S) {
+	S.gotoStateOn(this.checker, 'ok', 'health:ok');
+	S.gotoStateOn(this.checker, 'fail', 'health:failing');
+};
+ConnFSM.prototype['state_health:ok'] = function (S) {
+	S.gotoStateOn(this.checker, 'fail', 'health:failing');
+	S.on(this, 'badTransition', function () {
+		S.gotoState('idle');
+	});
+};
+ConnFSM.prototype['state_health:failing'] = function (S) {
+	S.gotoStateOn(this.checker, 'ok', 'health:ok');
+};
+
+test('parallel regions', function (t) {
+	var checker = new EventEmitter();
+	var c = new ConnFSM(checker);
+	var history = [];
+	c.on('stateChanged', function (st) {
+		history.push(st);
+	});
+
+	t.strictEqual(c.getState(), 'idle');
+	t.strictEqual(c.getState('health'), 'health:unknown');
+	t.deepEqual(c.getStates(), ['idle', 'health:unknown']);
+
+	c.emit('connect');
+	checker.emit('ok');
+	t.deepEqual(c.getStates(), ['connected.quiet', 'health:ok']);
+	t.ok(c.isInState('connected'));
+	t.ok(c.isInState('health:ok'));
+	t.ok(!c.isInState('health:failing'));
+
+	/* Transitions in one region leave the other's handles alone. */
+	c.emit('busy');
+	c.emit('close');
+	t.deepEqual(c.getStates(), ['idle', 'health:ok']);
+	t.strictEqual(checker.listeners('fail').length, 1);
+	checker.emit('fail');
+	t.deepEqual(c.getStates(), ['idle', 'health:failing']);
+	t.strictEqual(c.listeners('connect').length, 1);
+
+	t.throws(function () {
+		c.isInState('nonexistent:foo');
+	}, /Unknown FSM region/);
+	t.throws(function () {
+		c.getState('nonexistent');
+	}, /Unknown FSM region/);
+
+	setImmediate(function () {
+		t.deepEqual(history, ['idle', 'health:unknown', 'connected',
+		    'connected.quiet', 'health:ok', 'connected.busy', 'idle',
+		    'health:failing']);
+		t.end();
+	});
+});
+
+test('regions cannot transition into each other', function (t) {
+	var checker = new EventEmitter();
+	var c = new ConnFSM(checker);
+	checker.emit('ok');
+	t.throws(function () {
+		c.emit('badTransition');
+	}, /different region/);
+	t.deepEqual(c.getStates(), ['idle', 'health:ok']);
+	t.end();
+});
+
+test('region history is kept per region', function (t) {
+	var checker = new EventEmitter();
+	var c = new ConnFSM(checker);
+	c.emit('connect');
+	checker.emit('fail');
+	var h = c.getHistory().filter(function (r) {
+		return (r.state === 'health:failing');
+	});
+	t.strictEqual(h.length, 1);
+	t.strictEqual(h[0].previous, 'health:unknown');
+	t.end();
+});
+
+test('invalid region declarations', function (t) {
+	function make(regions) {
+		var Class = function () {
+			FSM.call(this, 'a', { regions: regions });
+		};
+		util.inherits(Class, FSM);
+		Class.prototype.state_a = function () {};
+		Class.prototype['state_r:a'] = function () {};
+		return (new Class());
+	}
+	t.throws(function () {
+		make({ 'r.x': 'r.x:a' });
+	}, /Invalid FSM region name/);
+	t.throws(function () {
+		make({ r: 'a' });
+	}, /not in that region/);
+	t.ok(make({ r: 'r:a' }).isInState('r:a'));
+	t.end();
+});
+
+test('regions in a declared graph', function (t) {
+	function Declared(checker) {
+		ConnFSM.call(this, checker);
+	}
+	util.inherits(Declared, ConnFSM);
+	FSM.defineGraph(Declared, {
+		initial: 'idle',
+		regions: { health: 'health:unknown' },
+		states: {
+			'idle': ['connected'],
+			'connected': ['idle', 'connected.quiet'],
+			'connected.quiet': ['connected.busy'],
+			'connected.busy': [],
+			'health:unknown': ['health:ok', 'health:failing'],
+			'health:ok': ['health:failing'],
+			'health:failing': ['health:ok']
+		}
+	});
+	t.deepEqual(FSM.validateGraph(Declared), []);
+	var c = new Declared(new EventEmitter());
+	t.deepEqual(c.getStates(), ['idle', 'health:unknown']);
+	t.end();
+});
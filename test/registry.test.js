@@ -0,0 +1,162 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var Registry = require('../lib/registry').Registry;
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+/* The registry needs WeakRef, which older versions of node lack. */
+var HAVE_WEAKREF = (typeof (WeakRef) === 'function' &&
+    typeof (FinalizationRegistry) === 'function');
+
+function ConnectionFSM(sched) {
+	this.cf_cleanedUp = false;
+	FSM.call(this, 'connecting', { scheduler: sched });
+}
+util.inherits(ConnectionFSM, FSM);
+ConnectionFSM.prototype.state_connecting = function (S) {
+	var self = this;
+	S.gotoStateOn(this, 'connect', 'connected');
+	S.gotoStateTimeout(1000, 'failed');
+	S.cleanup(function () {
+		self.cf_cleanedUp = true;
+	});
+};
+ConnectionFSM.prototype.state_connected = function (S) {
+	S.gotoState('connected.idle');
+};
+ConnectionFSM.prototype.state_connected.idle = function (S) {
+	S.gotoStateOn(this, 'close', 'connecting');
+};
+ConnectionFSM.prototype.state_failed = function (S) {
+};
+
+function PoolFSM(sched) {
+	FSM.call(this, 'running', { scheduler: sched });
+}
+util.inherits(PoolFSM, FSM);
+PoolFSM.prototype.state_running = function (S) {
+};
+
+test('registry queries', function (t) {
+	if (!HAVE_WEAKREF) {
+		t.skip('WeakRef is not supported by this node version');
+		t.end();
+		return;
+	}
+	var sched = new VirtualScheduler();
+	var reg = new Registry();
+	var untracked = new ConnectionFSM(sched);
+	FSM.addTracer(reg);
+	var a = new ConnectionFSM(sched);
+	sched.advance(100);
+	var b = new ConnectionFSM(sched);
+	var c = new ConnectionFSM(sched);
+	var p = new PoolFSM(sched);
+	FSM.removeTracer(reg);
+	sched.advance(200);
+	c.emit('connect');
+	sched.advance(50);
+
+	t.strictEqual(reg.get(a.fsm_id), a);
+	t.strictEqual(reg.get(untracked.fsm_id), undefined);
+	t.strictEqual(reg.count(), 4);
+	t.deepEqual(reg.find({ className: 'ConnectionFSM' }), [a, b, c]);
+	t.deepEqual(reg.find({ state: 'connecting' }), [a, b]);
+	t.deepEqual(reg.find({ state: 'connected' }), [c]);
+	t.strictEqual(reg.count({ className: 'PoolFSM',
+	    state: 'connecting' }), 0);
+
+	t.deepEqual(reg.summary(), {
+		ConnectionFSM: {
+			count: 3,
+			states: {
+				'connecting': {
+					count: 2,
+					minDwell: 250,
+					maxDwell: 350,
+					meanDwell: 300
+				},
+				'connected.idle': {
+					count: 1,
+					minDwell: 50,
+					maxDwell: 50,
+					meanDwell: 50
+				}
+			}
+		},
+		PoolFSM: {
+			count: 1,
+			states: {
+				'running': {
+					count: 1,
+					minDwell: 250,
+					maxDwell: 250,
+					meanDwell: 250
+				}
+			}
+		}
+	});
+	t.deepEqual(Object.keys(reg.summary({ state: 'running' })),
+	    ['PoolFSM']);
+
+	b.destroy();
+	t.strictEqual(reg.get(b.fsm_id), undefined);
+	t.deepEqual(reg.find({ state: 'connecting' }), [a]);
+	t.end();
+});
+
+test('destroy', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new ConnectionFSM(sched);
+	t.strictEqual(c.isDestroyed(), false);
+	c.destroy();
+	t.strictEqual(c.isDestroyed(), true);
+	t.ok(c.cf_cleanedUp);
+
+	/* Handlers and timers are gone, so nothing happens. */
+	c.emit('connect');
+	sched.advance(2000);
+	t.strictEqual(c.getState(), 'connecting');
+	t.strictEqual(sched.pending(), 0);
+
+	t.throws(function () {
+		c._gotoState('connected');
+	}, /ConnectionFSM .* attempted to enter state connected after/);
+
+	/* Destroying twice is harmless. */
+	c.destroy();
+	t.end();
+});
+
+test('registry does not keep FSMs alive', function (t) {
+	if (!HAVE_WEAKREF) {
+		t.skip('WeakRef is not supported by this node version');
+		t.end();
+		return;
+	}
+	if (typeof (global.gc) !== 'function') {
+		t.skip('run node with --expose-gc to test this');
+		t.end();
+		return;
+	}
+	var reg = new Registry();
+	FSM.addTracer(reg);
+	var id = new PoolFSM().fsm_id;
+	FSM.removeTracer(reg);
+	setImmediate(function () {
+		global.gc();
+		t.strictEqual(reg.get(id), undefined);
+		t.strictEqual(reg.count(), 0);
+		t.end();
+	});
+});
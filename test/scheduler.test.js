@@ -0,0 +1,123 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function BackoffFSM(sched) {
+	this.bf_attempts = 0;
+	this.bf_ticks = 0;
+	FSM.call(this, 'connecting', { scheduler: sched });
+}
+util.inherits(BackoffFSM, FSM);
+BackoffFSM.prototype.state_connecting = function (S) {
+	this.bf_attempts++;
+	S.gotoStateOn(this, 'connected', 'connected');
+	S.gotoStateTimeout(30000, 'backoff');
+};
+BackoffFSM.prototype.state_backoff = function (S) {
+	S.gotoStateTimeout(60000, 'connecting');
+};
+BackoffFSM.prototype.state_connected = function (S) {
+	var self = this;
+	S.interval(1000, function () {
+		self.bf_ticks++;
+	});
+	S.gotoStateOn(this, 'closed', 'connecting');
+};
+
+test('virtual time drives handle timers', function (t) {
+	var sched = new VirtualScheduler();
+	var c = new BackoffFSM(sched);
+	var history = [];
+	c.on('stateChanged', function (st) {
+		history.push(st);
+	});
+
+	sched.advance(29999);
+	t.strictEqual(c.getState(), 'connecting');
+	sched.advance(1);
+	t.strictEqual(c.getState(), 'backoff');
+	sched.advance(60000);
+	t.strictEqual(c.getState(), 'connecting');
+	t.strictEqual(c.bf_attempts, 2);
+	t.deepEqual(history, ['connecting', 'backoff', 'connecting']);
+
+	var h = c.getHistory();
+	t.strictEqual(h[0].duration, 30000);
+	t.strictEqual(h[1].duration, 60000);
+	t.strictEqual(h[2].enteredAt.getTime(), 90000);
+
+	/* A long jump runs each interval tick. */
+	c.emit('connected');
+	sched.advance(5500);
+	t.strictEqual(c.bf_ticks, 5);
+
+	/* Timers on disconnected handles never fire. */
+	c.emit('closed');
+	sched.advance(10000);
+	t.strictEqual(c.bf_ticks, 5);
+	t.strictEqual(c.getState(), 'connecting');
+	sched.advance(20000);
+	t.strictEqual(c.getState(), 'backoff');
+	t.end();
+});
+
+test('timers cleared by an earlier timer do not fire', function (t) {
+	var sched = new VirtualScheduler(1000);
+	var fired = [];
+
+	var Class = function () {
+		FSM.call(this, 's1', { scheduler: sched });
+	};
+	util.inherits(Class, FSM);
+	Class.prototype.state_s1 = function (S) {
+		S.timeout(100, function () {
+			fired.push('first');
+			S.gotoState('s2');
+		});
+		S.timeout(100, function () {
+			fired.push('second');
+		});
+	};
+	Class.prototype.state_s2 = function (S) {
+	};
+
+	var c = new Class();
+	t.strictEqual(c.getHistory()[0].enteredAt.getTime(), 1000);
+	sched.advance(100);
+	t.deepEqual(fired, ['first']);
+	t.strictEqual(c.getState(), 's2');
+	t.strictEqual(sched.pending(), 0);
+	t.end();
+});
+
+test('default scheduler can be replaced', function (t) {
+	var sched = new VirtualScheduler();
+	FSM.setDefaultScheduler(sched);
+	var c = new BackoffFSM();
+	FSM.setDefaultScheduler();
+
+	sched.advance(30000);
+	t.strictEqual(c.getState(), 'backoff');
+
+	/* Without one, new instances go back to using real timers. */
+	var Idle = function () {
+		FSM.call(this, 'idle');
+	};
+	util.inherits(Idle, FSM);
+	Idle.prototype.state_idle = function (S) {
+	};
+	t.strictEqual(new Idle().fsm_scheduler,
+	    require('../lib/scheduler').realScheduler);
+	t.end();
+});
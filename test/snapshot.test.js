@@ -0,0 +1,140 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var test = require('tape').test;
+var util = require('util');
+
+function WorkflowFSM(snap, terminal) {
+	this.wf_log = [];
+	this.wf_ctx = (snap === undefined ? { step: 0 } : snap.context);
+	FSM.call(this, 'start', {
+		restore: snap,
+		regions: { health: 'health:ok' },
+		terminal: terminal
+	});
+}
+util.inherits(WorkflowFSM, FSM);
+WorkflowFSM.prototype.state_start = function (S) {
+	this.wf_log.push('state_start');
+	S.gotoStateOn(this, 'go', 'running');
+};
+WorkflowFSM.prototype.state_running = function (S) {
+	this.wf_log.push('state_running');
+	this.wf_ctx.step++;
+	S.gotoStateOn(this, 'stop', 'done');
+	S.gotoState('running.step');
+};
+WorkflowFSM.prototype.state_running.step = function (S) {
+	this.wf_log.push('state_running.step');
+	S.gotoStateOn(this, 'next', 'running.step');
+};
+WorkflowFSM.prototype.reenter_running = function (S) {
+	this.wf_log.push('reenter_running');
+	S.gotoStateOn(this, 'stop', 'done');
+};
+WorkflowFSM.prototype.reenter_running.step = function (S) {
+	this.wf_log.push('reenter_running.step');
+	S.gotoStateOn(this, 'next', 'running.step');
+};
+WorkflowFSM.prototype.state_done = function (S) {
+	this.wf_log.push('state_done');
+};
+WorkflowFSM.prototype['state_health:ok'] = function (S) {
+	S.gotoStateOn(this, 'sick', 'health:bad');
+};
+WorkflowFSM.prototype['reenter_health:ok'] =
+    WorkflowFSM.prototype['state_health:ok'];
+WorkflowFSM.prototype['state_health:bad'] = function (S) {
+};
+
+test('snapshot and restore', function (t) {
+	var w = new WorkflowFSM();
+	w.emit('go');
+	w.emit('next');
+	t.strictEqual(w.getState(), 'running.step');
+
+	var snap = JSON.parse(JSON.stringify(w.snapshot(w.wf_ctx)));
+	t.strictEqual(snap.className, 'WorkflowFSM');
+	t.strictEqual(snap.id, w.fsm_id);
+	t.deepEqual(snap.states, ['running.step', 'health:ok']);
+	t.deepEqual(snap.context, { step: 1 });
+
+	var w2 = new WorkflowFSM(snap);
+	t.deepEqual(w2.wf_log, ['reenter_running', 'reenter_running.step']);
+	t.deepEqual(w2.getStates(), ['running.step', 'health:ok']);
+	t.strictEqual(w2.fsm_id, w.fsm_id);
+	t.strictEqual(w2.wf_ctx.step, 1);
+
+	var h1 = w.getHistory();
+	var h2 = w2.getHistory();
+	t.strictEqual(h2.length, h1.length);
+	t.strictEqual(h2[h2.length - 1].state, 'running.step');
+	t.ok(h2[0].enteredAt instanceof Date);
+	t.strictEqual(h2[0].enteredAt.getTime(), h1[0].enteredAt.getTime());
+
+	/* The restored handles work like the originals. */
+	w2.emit('next');
+	w2.emit('sick');
+	t.deepEqual(w2.getStates(), ['running.step', 'health:bad']);
+	h2 = w2.getHistory();
+	t.strictEqual(h2[h2.length - 2].state, 'running.step');
+	t.strictEqual(h2[h2.length - 2].previous, 'running.step');
+	w2.emit('stop');
+	t.strictEqual(w2.getState(), 'done');
+	t.strictEqual(w2.listeners('next').length, 0);
+
+	var history = [];
+	w2.on('stateChanged', function (st) {
+		history.push(st);
+	});
+	setImmediate(function () {
+		t.deepEqual(history, ['running.step', 'health:ok',
+		    'running.step', 'health:bad', 'done']);
+		t.end();
+	});
+});
+
+test('restore requires re-entry functions', function (t) {
+	var w = new WorkflowFSM();
+	var snap = w.snapshot();
+	t.throws(function () {
+		new WorkflowFSM(snap);
+	}, /no re-entry function for state start/);
+
+	snap.className = 'OtherFSM';
+	t.throws(function () {
+		new WorkflowFSM(snap);
+	}, /snapshot of a OtherFSM cannot be restored/);
+	t.end();
+});
+
+test('finished FSMs cannot be snapshotted or restored', function (t) {
+	var w = new WorkflowFSM(undefined, ['done']);
+	w.emit('go');
+	var snap = w.snapshot();
+	w.emit('stop');
+	t.ok(w.isFinished());
+	t.throws(function () {
+		w.snapshot();
+	}, /attempted to take a snapshot after it finished in terminal state/);
+
+	snap.states[0] = 'done';
+	t.throws(function () {
+		new WorkflowFSM(snap, ['done']);
+	}, /FSM snapshot state done is a terminal state/);
+
+	w = new WorkflowFSM();
+	w.destroy();
+	t.throws(function () {
+		w.snapshot();
+	}, /attempted to take a snapshot after it was destroyed/);
+	t.end();
+});
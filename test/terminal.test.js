@@ -0,0 +1,204 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var Registry = require('../lib/registry').Registry;
+var VirtualScheduler = require('../lib/scheduler').VirtualScheduler;
+var test = require('tape').test;
+var util = require('util');
+
+function ConnFSM(sched) {
+	this.cf_closedCleanup = false;
+	FSM.call(this, 'connecting', {
+		scheduler: sched,
+		terminal: ['closed']
+	});
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_connecting = function (S) {
+	S.gotoStateOn(this, 'connect', 'connected');
+	S.gotoStateOn(this, 'close', 'closed');
+};
+ConnFSM.prototype.state_connected = function (S) {
+	var self = this;
+	S.gotoStateOn(this, 'close', 'closed');
+	S.gotoStateOn(this, 'reset', 'connecting');
+	S.interval(100, function () {
+		self.emit('tick');
+	});
+};
+ConnFSM.prototype.state_closed = function (S) {
+	var self = this;
+	S.on(this, 'reset', function () {
+		S.gotoState('connecting');
+	});
+	S.cleanup(function () {
+		self.cf_closedCleanup = true;
+	});
+};
+
+test('entering a terminal state finishes the FSM', function (t) {
+	var sched = new VirtualScheduler();
+	/* The registry needs WeakRef, which older versions of node lack. */
+	var reg;
+	if (typeof (WeakRef) === 'function' &&
+	    typeof (FinalizationRegistry) === 'function') {
+		reg = new Registry();
+		FSM.addTracer(reg);
+	}
+	var c = new ConnFSM(sched);
+	if (reg !== undefined)
+		FSM.removeTracer(reg);
+	var events = [];
+	c.on('stateChanged', function (st) {
+		events.push('stateChanged ' + st);
+	});
+	c.on('finished', function (st) {
+		events.push('finished ' + st);
+	});
+	var ticks = 0;
+	c.on('tick', function () {
+		ticks++;
+	});
+
+	c.emit('connect');
+	c.emit('close');
+	t.strictEqual(c.getState(), 'closed');
+	t.ok(c.isFinished());
+	t.ok(c.isDestroyed());
+	t.ok(c.cf_closedCleanup, 'terminal state handle disconnected');
+	if (reg !== undefined)
+		t.strictEqual(reg.count(), 0);
+	t.deepEqual(events, []);
+
+	sched.advance(1000);
+	t.strictEqual(ticks, 0);
+	t.deepEqual(events, ['stateChanged connecting',
+	    'stateChanged connected', 'stateChanged closed',
+	    'finished closed']);
+
+	/* The handlers set up by "closed" are gone. */
+	c.emit('reset');
+	t.strictEqual(c.getState(), 'closed');
+	t.throws(function () {
+		c._gotoState('connecting');
+	}, /enter state connecting after it finished in terminal state closed/);
+	t.end();
+});
+
+test('terminal states from the declared graph', function (t) {
+	function Declared(sched) {
+		FSM.call(this, 'connecting', { scheduler: sched });
+	}
+	util.inherits(Declared, FSM);
+	Declared.prototype.state_connecting = function (S) {
+		S.gotoStateOn(this, 'close', 'closed');
+	};
+	Declared.prototype.state_closed = function (S) {
+	};
+	FSM.defineGraph(Declared, {
+		initial: 'connecting',
+		states: {
+			'connecting': ['closed'],
+			'closed': []
+		},
+		terminal: ['closed']
+	});
+
+	var sched = new VirtualScheduler();
+	var c = new Declared(sched);
+	var p = c.waitForState('connected');
+	c.emit('close');
+	t.ok(c.isFinished());
+	sched.runImmediates();
+	p.then(function () {
+		t.fail('waitForState resolved');
+		t.end();
+	}, function (err) {
+		t.ok(/finished in terminal state closed while waiting/.test(
+		    err.message));
+		t.end();
+	});
+});
+
+test('terminal state entry functions cannot transition', function (t) {
+	function Bad() {
+		FSM.call(this, 'a', { terminal: ['b'] });
+	}
+	util.inherits(Bad, FSM);
+	Bad.prototype.state_a = function (S) {
+		S.gotoStateOn(this, 'go', 'b');
+	};
+	Bad.prototype.state_b = function (S) {
+		S.gotoStateOn(this, 'back', 'a');
+		S.gotoState('a');
+	};
+	var c = new Bad();
+	t.throws(function () {
+		c.emit('go');
+	}, /attempted to leave terminal state b towards a/);
+	t.strictEqual(c.getState(), 'b');
+	t.ok(c.isFinished());
+	t.ok(c.isDestroyed());
+	t.strictEqual(c.listeners('back').length, 0);
+	t.end();
+});
+
+test('terminal states finish even if their entry function throws',
+    function (t) {
+	var sched = new VirtualScheduler();
+
+	function Failing(errorState) {
+		FSM.call(this, 'a', {
+			scheduler: sched,
+			terminal: ['done'],
+			errorState: errorState
+		});
+	}
+	util.inherits(Failing, FSM);
+	Failing.prototype.state_a = function (S) {
+		S.gotoStateOn(this, 'go', 'done');
+	};
+	Failing.prototype.state_done = function (S) {
+		throw (new Error('failed to finish'));
+	};
+	Failing.prototype.state_failed = function (S) {
+		S.gotoStateOn(this, 'retry', 'a');
+	};
+
+	/* The error state isn't entered, so the exception is emitted. */
+	var f = new Failing('failed');
+	var events = [];
+	f.on('error', function (err) {
+		events.push('error ' + err.message);
+	});
+	f.on('finished', function (st) {
+		events.push('finished ' + st);
+	});
+	f.emit('go');
+	t.strictEqual(f.getState(), 'done');
+	t.ok(f.isFinished());
+	t.ok(f.isDestroyed());
+	f.emit('retry');
+	t.strictEqual(f.getState(), 'done');
+	sched.runImmediates();
+	t.deepEqual(events, ['error failed to finish', 'finished done']);
+
+	/* Without an error state or listener, it's thrown. */
+	f = new Failing();
+	t.throws(function () {
+		f.emit('go');
+	}, /failed to finish/);
+	t.strictEqual(f.getState(), 'done');
+	t.ok(f.isFinished());
+	t.ok(f.isDestroyed());
+	t.strictEqual(f.getLastError().message, 'failed to finish');
+	t.end();
+});
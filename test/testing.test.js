@@ -0,0 +1,113 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var TransitionRecorder = require('../lib/testing').TransitionRecorder;
+var test = require('tape').test;
+var util = require('util');
+
+function ConnFSM() {
+	FSM.call(this, 'idle');
+}
+util.inherits(ConnFSM, FSM);
+ConnFSM.prototype.state_idle = function (S) {
+	S.gotoStateOn(this, 'connect', 'connecting');
+};
+ConnFSM.prototype.state_connecting = function (S) {
+	S.gotoStateOn(this, 'connected', 'connected');
+	S.gotoStateOn(this, 'error', 'error');
+};
+ConnFSM.prototype.state_connected = function (S) {
+	S.gotoState('connected.idle');
+};
+ConnFSM.prototype.state_connected.idle = function (S) {
+	S.gotoStateOn(this, 'close', 'idle');
+};
+ConnFSM.prototype.state_error = function (S) {
+	S.gotoState('idle');
+};
+
+/*
+ * A stand-in for a tape test object, which records the assertions made
+ * against it instead of reporting them.
+ */
+function FakeTest() {
+	this.results = [];
+}
+FakeTest.prototype.pass = function (msg) {
+	this.results.push({ ok: true, msg: msg });
+};
+FakeTest.prototype.fail = function (msg) {
+	this.results.push({ ok: false, msg: msg });
+};
+FakeTest.prototype.deepEqual = function (a, b, msg) {
+	this.results.push({ ok: JSON.stringify(a) === JSON.stringify(b),
+	    msg: msg });
+};
+FakeTest.prototype.strictEqual = function (a, b, msg) {
+	this.results.push({ ok: a === b, msg: msg });
+};
+
+test('recorder sees immediate transitions synchronously', function (t) {
+	var c = new ConnFSM();
+	var rec = new TransitionRecorder(c);
+
+	c.emit('connect');
+	c.emit('error');
+	rec.assertSequence(t, ['connecting', 'error', 'idle']);
+	t.deepEqual(rec.transitions(), [
+		{ from: 'idle', to: 'connecting' },
+		{ from: 'connecting', to: 'error' },
+		{ from: 'error', to: 'idle' }
+	]);
+	rec.assertNeverEntered(t, 'connected');
+
+	rec.clear();
+	c.emit('connect');
+	c.emit('connected');
+	rec.assertSequence(t, ['connecting', 'connected', 'connected.idle']);
+	rec.assertState(t, 'connected');
+	rec.assertState(t, 'connected.idle');
+
+	rec.detach();
+	c.emit('close');
+	t.deepEqual(rec.states(), ['connecting', 'connected',
+	    'connected.idle']);
+	t.end();
+});
+
+test('recorder assertion failures', function (t) {
+	var c = new ConnFSM();
+	var rec = new TransitionRecorder(c);
+	var ft = new FakeTest();
+
+	c.emit('connect');
+	c.emit('connected');
+
+	rec.assertSequence(ft, ['connecting', 'error', 'idle']);
+	rec.assertSequence(ft, ['connecting', 'connected']);
+	rec.assertState(ft, 'idle', 'back to idle');
+	rec.assertNeverEntered(ft, 'connected');
+	rec.assertNeverEntered(ft, 'error');
+
+	t.deepEqual(ft.results, [
+		{ ok: false, msg: 'went through states connecting => ' +
+		    'error => idle (first difference at #1: expected ' +
+		    '"error", got "connected")' },
+		{ ok: false, msg: 'went through states connecting => ' +
+		    'connected (first difference at #2: expected nothing, ' +
+		    'got "connected.idle")' },
+		{ ok: false, msg: 'back to idle' },
+		{ ok: false, msg: 'never entered state connected (entered ' +
+		    '"connected" from "connecting" at #1)' },
+		{ ok: true, msg: 'never entered state error' }
+	]);
+	t.end();
+});
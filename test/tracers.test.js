@@ -0,0 +1,134 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+var FSM = require('../lib/fsm');
+var mod_tracers = require('../lib/tracers');
+var test = require('tape').test;
+var util = require('util');
+
+function ThingFSM() {
+	FSM.call(this, 'stopped');
+}
+util.inherits(ThingFSM, FSM);
+ThingFSM.prototype.state_stopped = function (S) {
+	S.gotoStateOn(this, 'start', 'running');
+};
+ThingFSM.prototype.state_running = function (S) {
+	S.gotoState('running.idle');
+};
+ThingFSM.prototype.state_running.idle = function (S) {
+};
+
+test('dtrace tracer is registered by default if available', function (t) {
+	var dts = FSM.getTracers().filter(function (tracer) {
+		return (tracer instanceof mod_tracers.DTraceTracer);
+	});
+	t.strictEqual(dts.length, mod_tracers.haveDTrace ? 1 : 0);
+	t.end();
+});
+
+test('custom tracer', function (t) {
+	var calls = [];
+	var tracer = {
+		createFsm: function (info) {
+			calls.push(['create', info.className, info.id]);
+		},
+		transitionStart: function (info) {
+			t.strictEqual(info.fsm.getState(), info.from);
+			calls.push(['start', info.from, info.to]);
+		},
+		transitionEnd: function (info) {
+			calls.push(['end', info.from, info.to]);
+		},
+		destroyFsm: function (info) {
+			calls.push(['destroy', info.id]);
+		}
+	};
+	FSM.addTracer(tracer);
+	var c = new ThingFSM();
+	c.emit('start');
+	c.destroy();
+	FSM.removeTracer(tracer);
+	new ThingFSM();
+
+	t.deepEqual(calls, [
+		['create', 'ThingFSM', c.fsm_id],
+		['start', undefined, 'stopped'],
+		['end', undefined, 'stopped'],
+		['start', 'stopped', 'running'],
+		['end', 'stopped', 'running'],
+		['start', 'running', 'running.idle'],
+		['end', 'running', 'running.idle'],
+		['destroy', c.fsm_id]
+	]);
+	t.end();
+});
+
+test('logger tracer', function (t) {
+	var lines = [];
+	var log = {
+		trace: function (fields, msg) {
+			lines.push([fields, msg]);
+		}
+	};
+	var tracer = new mod_tracers.LoggerTracer(log, 'trace');
+	FSM.addTracer(tracer);
+	var c = new ThingFSM();
+	FSM.removeTracer(tracer);
+
+	t.deepEqual(lines, [
+		[ { fsm_id: c.fsm_id, fsm_class: 'ThingFSM' }, 'FSM created' ],
+		[ { fsm_id: c.fsm_id, fsm_class: 'ThingFSM', from: undefined,
+		    to: 'stopped' }, 'FSM transition' ]
+	]);
+
+	var msgs = [];
+	tracer = new mod_tracers.LoggerTracer(function (fields, msg) {
+		msgs.push(msg + ': ' + fields.to);
+	});
+	FSM.addTracer(tracer);
+	c.emit('start');
+	FSM.removeTracer(tracer);
+	t.deepEqual(msgs, ['FSM transition: running',
+	    'FSM transition: running.idle']);
+
+	t.throws(function () {
+		new mod_tracers.LoggerTracer({}, 'info');
+	}, /log.info/);
+	t.end();
+});
+
+test('diagnostics_channel tracer', function (t) {
+	var mod_dc;
+	try {
+		mod_dc = require('diagnostics_channel');
+	} catch (e) {
+		t.skip('diagnostics_channel not available');
+		t.end();
+		return;
+	}
+	var seen = [];
+	function onStart(info) {
+		seen.push(info.from + ' => ' + info.to);
+	}
+	var chan = mod_dc.channel('fsmtest:transition-start');
+	chan.subscribe(onStart);
+
+	var tracer = new mod_tracers.DiagnosticsChannelTracer('fsmtest');
+	FSM.addTracer(tracer);
+	var c = new ThingFSM();
+	c.emit('start');
+	FSM.removeTracer(tracer);
+	chan.unsubscribe(onStart);
+
+	t.deepEqual(seen, ['undefined => stopped', 'stopped => running',
+	    'running => running.idle']);
+	t.end();
+});